@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+import { parseArgs } from "node:util";
+import { Log, setLogLevel, validateEntry } from "../dist/index.js";
+
+const USAGE = `Usage: logctl <command> [options]
+
+Commands:
+  send <message>   validate an entry and post it to LOG_ENDPOINT
+  query            list entries stored by a local collector
+  tail             follow entries as the collector receives them
+
+send options:
+  --stack, --level (default info), --package   taxonomy fields
+  --meta <json>           metadata object
+  --request-id <id>       request ID to attach
+  --endpoint <url>        overrides LOG_ENDPOINT
+  --token <token>         overrides LOG_TOKEN
+  --timeout <ms>          delivery timeout
+
+query and tail options:
+  --collector <url>       collector base URL (LOGCTL_COLLECTOR,
+                          default http://localhost:3001)
+  --stack, --level, --package <a,b>   filter by list
+  --min-level <level>     lowest level to include
+  --request-id <id>, --fingerprint <hash>, --search <text>
+  --from <time>, --to <time>          query only
+  --limit <n>, --page <n>, --order asc  query only
+  --format table|json     output format (default table)`;
+
+// logctl option name -> collector query parameter
+const FILTERS = {
+  stack: "stack",
+  level: "level",
+  package: "package",
+  "min-level": "minLevel",
+  "request-id": "requestId",
+  fingerprint: "fingerprint",
+  search: "q",
+  from: "from",
+  to: "to",
+  limit: "limit",
+  page: "page",
+  order: "order",
+};
+
+const LISTS = new Set(["stack", "level", "package"]);
+
+const OPTIONS = {
+  ...Object.fromEntries(
+    Object.keys(FILTERS).map((name) => [
+      name,
+      { type: "string", multiple: LISTS.has(name) },
+    ])
+  ),
+  meta: { type: "string" },
+  endpoint: { type: "string" },
+  token: { type: "string" },
+  timeout: { type: "string" },
+  collector: { type: "string" },
+  format: { type: "string", default: "table" },
+  help: { type: "boolean", short: "h" },
+};
+
+const usage = (message) => Object.assign(new Error(message), { usage: true });
+
+// fetch() reports "fetch failed" and keeps the actual reason in `cause`.
+const reason = (err) =>
+  err.cause ? `${err.message} (${err.cause.message})` : err.message;
+
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+
+function parseMeta(text) {
+  if (text === undefined) return undefined;
+  let meta;
+  try {
+    meta = JSON.parse(text);
+  } catch (e) {
+    throw usage(`--meta is not valid JSON: ${e.message}`);
+  }
+  if (!meta || typeof meta !== "object" || Array.isArray(meta))
+    throw usage("--meta must be a JSON object");
+  return meta;
+}
+
+function parseTimeout(text) {
+  if (text === undefined) return undefined;
+  const ms = Number(text);
+  if (!Number.isFinite(ms) || ms <= 0)
+    throw usage(`--timeout must be a positive number of ms: ${text}`);
+  return ms;
+}
+
+async function send(values, positionals) {
+  const entry = {
+    stack: first(values.stack),
+    level: first(values.level) || "info",
+    package: first(values.package),
+    message: positionals.join(" "),
+  };
+  if (!entry.message) throw usage("send requires a message");
+  const errors = validateEntry(entry);
+  if (errors.length) throw usage(errors.join("; "));
+  const meta = parseMeta(values.meta);
+  const timeout = parseTimeout(values.timeout);
+  // An explicit send is never filtered by LOG_LEVEL or LOG_LEVELS.
+  setLogLevel(undefined);
+  setLogLevel(undefined, entry.package);
+  try {
+    await Log(entry.stack, entry.level, entry.package, entry.message, {
+      endpoint: values.endpoint,
+      token: values.token,
+      timeout,
+      requestId: values["request-id"],
+      meta,
+    });
+  } catch (e) {
+    throw new Error(`could not deliver entry: ${reason(e)}`);
+  }
+}
+
+function collectorUrl(values, path, only) {
+  const base = values.collector || process.env.LOGCTL_COLLECTOR;
+  const url = new URL(path, base || "http://localhost:3001");
+  for (const [name, param] of Object.entries(FILTERS)) {
+    const value = values[name];
+    if (value === undefined || (only && !only.includes(name))) continue;
+    url.searchParams.set(param, [].concat(value).join(","));
+  }
+  return url;
+}
+
+const pad = (text, width) => String(text ?? "").padEnd(width);
+
+// One line per entry with fixed columns, so `tail` output lines up without
+// knowing the entries ahead.
+function formatRow(entry) {
+  const line = [
+    pad(entry.timestamp, 24),
+    pad(String(entry.level).toUpperCase(), 5),
+    pad(`${entry.stack}/${entry.package}`, 20),
+    entry.message,
+  ].join(" ");
+  return entry.requestId ? `${line} [${entry.requestId}]` : line;
+}
+
+function printer(format) {
+  if (format === "json") return (entry) => console.log(JSON.stringify(entry));
+  if (format === "table") return (entry) => console.log(formatRow(entry));
+  throw usage(`unknown format: ${format}`);
+}
+
+async function fetchCollector(url, options) {
+  let res;
+  try {
+    res = await fetch(url, options);
+  } catch (e) {
+    throw new Error(`cannot reach collector at ${url.origin}: ${reason(e)}`);
+  }
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(`collector answered ${res.status}: ${body.error || ""}`);
+  }
+  return res;
+}
+
+async function query(values) {
+  const print = printer(values.format);
+  const res = await fetchCollector(collectorUrl(values, "/logs"));
+  const { logs, pagination } = await res.json();
+  logs.forEach(print);
+  const { currentPage, totalPages, totalItems } = pagination;
+  console.error(`page ${currentPage}/${totalPages}, ${totalItems} entries`);
+}
+
+// Reads Server-Sent Events from the collector and reconnects with
+// Last-Event-ID when the stream drops, so no entry is lost or repeated.
+async function tail(values) {
+  const print = printer(values.format);
+  const url = collectorUrl(values, "/logs/stream", [
+    "stack",
+    "level",
+    "package",
+    "min-level",
+    "request-id",
+    "fingerprint",
+    "search",
+  ]);
+  let lastId;
+  let retry = 3000;
+  for (;;) {
+    try {
+      const headers = lastId ? { "Last-Event-ID": String(lastId) } : {};
+      const res = await fetchCollector(url, { headers });
+      const decoder = new TextDecoder();
+      let buffer = "";
+      for await (const chunk of res.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buffer.indexOf("\n\n")) !== -1) {
+          const event = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const fields = {};
+          for (const line of event.split("\n")) {
+            const colon = line.indexOf(":");
+            if (colon <= 0) continue;
+            fields[line.slice(0, colon)] = line.slice(colon + 1).trimStart();
+          }
+          if (fields.retry) retry = Number(fields.retry) || retry;
+          if (fields.id) lastId = fields.id;
+          if (fields.data) print(JSON.parse(fields.data));
+        }
+      }
+      console.error("logctl: stream closed, reconnecting");
+    } catch (e) {
+      console.error(`logctl: ${e.message}, retrying in ${retry}ms`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, retry));
+  }
+}
+
+const COMMANDS = { send, query, tail };
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+  const [command, ...rest] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS[command]) throw usage(`unknown command: ${command}`);
+  await COMMANDS[command](values, rest);
+}
+
+// Exit status 2 for usage errors, 1 when delivery or the collector fails.
+main(process.argv.slice(2)).catch((err) => {
+  const misuse = err.usage || String(err.code).startsWith("ERR_PARSE_ARGS");
+  console.error(`logctl: ${err.message}`);
+  if (misuse) console.error("Run logctl --help for usage.");
+  process.exitCode = misuse ? 2 : 1;
+});
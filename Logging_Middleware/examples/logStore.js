@@ -0,0 +1,203 @@
+import {
+  appendFileSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  rmSync,
+  statSync,
+} from "node:fs";
+import { join } from "node:path";
+
+const FILE_RE = /^collector-(\d{4}-\d{2}-\d{2})-(\d{3})\.ndjson$/;
+const LEVEL_ORDER = ["debug", "info", "warn", "error", "fatal"];
+
+const day = (time) => new Date(time).toISOString().slice(0, 10);
+const fileName = (date, index) =>
+  `collector-${date}-${String(index).padStart(3, "0")}.ndjson`;
+
+function parseTime(value) {
+  if (value === undefined || value === "") return undefined;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) throw new Error(`invalid time: ${value}`);
+  return time;
+}
+
+const list = (value) =>
+  value
+    ? String(value)
+        .split(",")
+        .map((v) => v.trim().toLowerCase())
+    : null;
+
+function paginate(items, params) {
+  const page = Math.max(1, parseInt(params.page, 10) || 1);
+  const limit = Math.min(1000, Math.max(1, parseInt(params.limit, 10) || 100));
+  const totalPages = Math.ceil(items.length / limit);
+  return {
+    items: items.slice((page - 1) * limit, page * limit),
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalItems: items.length,
+      itemsPerPage: limit,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+}
+
+// Persists received entries to NDJSON files that rotate daily and at
+// `maxFileBytes`, keeping the newest `maxFiles`. The newest `maxEntries`
+// records stay in memory for querying. Entries carrying `meta.fingerprint`
+// (sent by errorLogger()) are grouped with a count and first/last-seen times.
+export function createLogStore({
+  dir,
+  maxFileBytes = 10 * 1024 * 1024,
+  maxFiles = 14,
+  maxEntries = 50000,
+} = {}) {
+  mkdirSync(dir, { recursive: true });
+  const entries = [];
+  const groups = new Map();
+  let lastId = 0;
+  let current = null;
+
+  const files = () =>
+    readdirSync(dir)
+      .filter((name) => FILE_RE.test(name))
+      .sort();
+
+  const track = (record) => {
+    const fingerprint = record.meta && record.meta.fingerprint;
+    if (!fingerprint) return;
+    const seen = record.timestamp || record.receivedAt;
+    const group = groups.get(fingerprint);
+    if (!group) {
+      groups.set(fingerprint, {
+        fingerprint,
+        message: record.message,
+        stack: record.stack,
+        package: record.package,
+        count: 1,
+        firstSeen: seen,
+        lastSeen: seen,
+        lastId: record.id,
+      });
+      return;
+    }
+    group.count += 1;
+    if (seen < group.firstSeen) group.firstSeen = seen;
+    if (seen >= group.lastSeen) {
+      group.lastSeen = seen;
+      group.message = record.message;
+      group.lastId = record.id;
+    }
+  };
+
+  for (const name of files()) {
+    for (const line of readFileSync(join(dir, name), "utf8").split("\n")) {
+      if (!line) continue;
+      try {
+        const record = JSON.parse(line);
+        entries.push(record);
+        track(record);
+        lastId = Math.max(lastId, record.id || 0);
+      } catch {
+        // skip lines torn by a crash
+      }
+    }
+  }
+  entries.splice(0, Math.max(0, entries.length - maxEntries));
+
+  const target = (bytes) => {
+    const today = day(Date.now());
+    if (current && current.date === today) {
+      const size = statSync(join(dir, current.name)).size;
+      if (size + bytes <= maxFileBytes) return current.name;
+    }
+    const last = files()
+      .filter((name) => name.includes(today))
+      .pop();
+    const index = last ? Number(FILE_RE.exec(last)[2]) + 1 : 0;
+    current = { date: today, name: fileName(today, index) };
+    const old = files();
+    for (const name of old.slice(0, Math.max(0, old.length - maxFiles + 1)))
+      rmSync(join(dir, name), { force: true });
+    return current.name;
+  };
+
+  function append(batch) {
+    const receivedAt = new Date().toISOString();
+    // the store's own id and receivedAt win over any sent by the client
+    const records = batch.map((entry) => ({
+      ...entry,
+      id: ++lastId,
+      receivedAt,
+    }));
+    const data = records.map((r) => `${JSON.stringify(r)}\n`).join("");
+    appendFileSync(join(dir, target(Buffer.byteLength(data))), data);
+    entries.push(...records);
+    records.forEach(track);
+    entries.splice(0, Math.max(0, entries.length - maxEntries));
+    return records;
+  }
+
+  // Returns a predicate for the query parameters shared by GET /logs and the
+  // live stream: stack, level, minLevel, package, requestId, fingerprint, from,
+  // to and q.
+  function matcher(params = {}) {
+    const stacks = list(params.stack);
+    const levels = list(params.level);
+    const packages = list(params.package);
+    const minRank = params.minLevel ? LEVEL_ORDER.indexOf(params.minLevel) : -1;
+    const from = parseTime(params.from);
+    const to = parseTime(params.to);
+    const q = params.q ? String(params.q).toLowerCase() : null;
+    return (record) => {
+      if (stacks && !stacks.includes(record.stack)) return false;
+      if (levels && !levels.includes(record.level)) return false;
+      if (LEVEL_ORDER.indexOf(record.level) < minRank) return false;
+      if (packages && !packages.includes(record.package)) return false;
+      if (params.requestId && record.requestId !== params.requestId)
+        return false;
+      if (
+        params.fingerprint &&
+        (!record.meta || record.meta.fingerprint !== params.fingerprint)
+      )
+        return false;
+      const time = Date.parse(record.timestamp || record.receivedAt);
+      if (from !== undefined && time < from) return false;
+      if (to !== undefined && time > to) return false;
+      if (q && !String(record.message).toLowerCase().includes(q)) return false;
+      return true;
+    };
+  }
+
+  function query(params = {}) {
+    const matches = entries.filter(matcher(params));
+    if (params.order !== "asc") matches.reverse();
+    const { items, pagination } = paginate(matches, params);
+    return { logs: items, pagination };
+  }
+
+  // Error groups, most recently seen first, filtered by stack and package.
+  function errors(params = {}) {
+    const stacks = list(params.stack);
+    const packages = list(params.package);
+    const matches = [...groups.values()]
+      .filter(
+        (group) =>
+          (!stacks || stacks.includes(group.stack)) &&
+          (!packages || packages.includes(group.package))
+      )
+      .sort((a, b) => (a.lastSeen < b.lastSeen ? 1 : -1));
+    const { items, pagination } = paginate(matches, params);
+    return { errors: items, pagination };
+  }
+
+  function since(id, predicate = () => true) {
+    return entries.filter((record) => record.id > id && predicate(record));
+  }
+
+  return { append, query, errors, matcher, since };
+}
@@ -0,0 +1,89 @@
+import http from "node:http";
+
+const port = process.env.OTLP_PORT || 4318;
+const MAX_BODY = 4 * 1024 * 1024;
+
+// Stands in for an OpenTelemetry collector's OTLP/HTTP logs endpoint: accepts
+// JSON export requests on POST /v1/logs, prints each record and keeps the
+// last requests for inspection on GET /v1/logs.
+const received = [];
+
+const value = (any = {}) =>
+  "kvlistValue" in any
+    ? Object.fromEntries(
+        (any.kvlistValue.values || []).map((kv) => [kv.key, value(kv.value)])
+      )
+    : "arrayValue" in any
+    ? (any.arrayValue.values || []).map(value)
+    : Object.values(any)[0];
+
+const attributes = (list = []) =>
+  Object.fromEntries(list.map((kv) => [kv.key, value(kv.value)]));
+
+function rejectedCount(body) {
+  let rejected = 0;
+  for (const resourceLogs of body.resourceLogs || []) {
+    const resource = attributes(resourceLogs.resource?.attributes);
+    for (const scopeLogs of resourceLogs.scopeLogs || []) {
+      for (const record of scopeLogs.logRecords || []) {
+        if (!record.severityNumber || !record.timeUnixNano) {
+          rejected += 1;
+          continue;
+        }
+        console.log(
+          "[OTLP LOG]",
+          resource["service.name"],
+          record.severityText,
+          JSON.stringify(value(record.body)),
+          JSON.stringify(attributes(record.attributes))
+        );
+      }
+    }
+  }
+  return rejected;
+}
+
+const server = http.createServer((req, res) => {
+  if (req.url !== "/v1/logs") {
+    res.writeHead(404);
+    return res.end();
+  }
+  if (req.method === "GET") {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify(received));
+  }
+  let raw = "";
+  req.on("data", (chunk) => {
+    raw += chunk;
+    if (raw.length > MAX_BODY) req.destroy();
+  });
+  req.on("end", () => {
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch (e) {
+      res.writeHead(400, { "Content-Type": "application/json" });
+      return res.end(JSON.stringify({ code: 3, message: String(e) }));
+    }
+    received.push(body);
+    if (received.length > 100) received.shift();
+    const rejected = rejectedCount(body);
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(
+      JSON.stringify(
+        rejected
+          ? {
+              partialSuccess: {
+                rejectedLogRecords: rejected,
+                errorMessage: "records without severityNumber or timeUnixNano",
+              },
+            }
+          : {}
+      )
+    );
+  });
+});
+
+server.listen(port, () => {
+  console.log(`OTLP receiver listening on http://localhost:${port}/v1/logs`);
+});
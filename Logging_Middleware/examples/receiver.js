@@ -1,22 +1,175 @@
 import http from "node:http";
+import { validateEntry } from "../dist/index.js";
+import { createLogStore } from "./logStore.js";
 
 const port = process.env.RECEIVER_PORT || 3001;
+const MAX_BODY = 1024 * 1024;
+const MAX_KEYS = 10000;
+const HEARTBEAT_MS = Number(process.env.RECEIVER_HEARTBEAT_MS) || 15000;
+const CORS_ORIGIN = process.env.RECEIVER_CORS_ORIGIN || "*";
 
-const server = http.createServer((req, res) => {
-  if (req.method === "POST" && req.url === "/log") {
+const store = createLogStore({
+  dir: process.env.RECEIVER_DATA_DIR || "logs/collector",
+});
+const seenKeys = new Set();
+const subscribers = new Set();
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
     let body = "";
-    req.on("data", (chunk) => (body += chunk));
-    req.on("end", () => {
-      try {
-        const data = JSON.parse(body || "{}");
-        console.log("[RECEIVED LOG]", JSON.stringify(data));
-        res.writeHead(200, { "Content-Type": "application/json" });
-        res.end(JSON.stringify({ success: true }));
-      } catch (e) {
-        res.writeHead(400, { "Content-Type": "application/json" });
-        res.end(JSON.stringify({ success: false, error: String(e) }));
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY) {
+        reject(new Error("Request body too large"));
+        req.destroy();
       }
     });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+// Accepts one entry or a batched array. Valid entries are stored even when
+// others in the same batch are rejected; a batch replayed from a spool with an
+// Idempotency-Key that was already accepted is acknowledged without storing.
+async function ingest(req, res) {
+  let data;
+  try {
+    data = JSON.parse((await readBody(req)) || "{}");
+  } catch (e) {
+    return sendJson(res, 400, { success: false, error: String(e) });
+  }
+  const key = req.headers["idempotency-key"];
+  if (key && seenKeys.has(key))
+    return sendJson(res, 200, { success: true, accepted: 0, duplicate: true });
+
+  const batch = Array.isArray(data) ? data : [data];
+  const valid = [];
+  const rejected = [];
+  batch.forEach((entry, index) => {
+    const errors = validateEntry(entry);
+    if (errors.length) rejected.push({ index, errors });
+    else valid.push(entry);
+  });
+  if (!valid.length)
+    return sendJson(res, 400, { success: false, accepted: 0, rejected });
+
+  const records = store.append(valid);
+  if (key) {
+    if (seenKeys.size >= MAX_KEYS)
+      seenKeys.delete(seenKeys.values().next().value);
+    seenKeys.add(key);
+  }
+  for (const record of records) {
+    console.log("[RECEIVED LOG]", JSON.stringify(record));
+    publish(record);
+  }
+  sendJson(res, 200, {
+    success: !rejected.length,
+    accepted: records.length,
+    ...(rejected.length ? { rejected } : {}),
+  });
+}
+
+function queryLogs(req, res, url) {
+  try {
+    sendJson(res, 200, store.query(Object.fromEntries(url.searchParams)));
+  } catch (e) {
+    sendJson(res, 400, { success: false, error: e.message });
+  }
+}
+
+function listErrors(req, res, url) {
+  sendJson(res, 200, store.errors(Object.fromEntries(url.searchParams)));
+}
+
+function writeEvent(res, record) {
+  res.write(
+    `id: ${record.id}\nevent: log\ndata: ${JSON.stringify(record)}\n\n`
+  );
+}
+
+function publish(record) {
+  for (const subscriber of subscribers)
+    if (subscriber.matches(record)) writeEvent(subscriber.res, record);
+}
+
+// Streams newly received entries as Server-Sent Events, filtered with the same
+// parameters as GET /logs. A reconnecting client sends Last-Event-ID (or
+// `lastEventId` in the query string) and first receives the stored entries it
+// missed.
+function streamLogs(req, res, url) {
+  const params = Object.fromEntries(url.searchParams);
+  let matches;
+  try {
+    matches = store.matcher(params);
+  } catch (e) {
+    return sendJson(res, 400, { success: false, error: e.message });
+  }
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 3000\n\n");
+
+  const lastEventId = Number(
+    req.headers["last-event-id"] || params.lastEventId
+  );
+  if (lastEventId > 0)
+    for (const record of store.since(lastEventId, matches))
+      writeEvent(res, record);
+
+  const subscriber = { res, matches };
+  subscribers.add(subscriber);
+  const heartbeat = setInterval(
+    () => res.write(": heartbeat\n\n"),
+    HEARTBEAT_MS
+  );
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    subscribers.delete(subscriber);
+  });
+}
+
+// Browsers post JSON with fetch, which needs a CORS preflight, so every
+// response allows `RECEIVER_CORS_ORIGIN` and OPTIONS is answered directly.
+function allowCors(res) {
+  res.setHeader("Access-Control-Allow-Origin", CORS_ORIGIN);
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization, Idempotency-Key, Last-Event-ID"
+  );
+  res.setHeader("Access-Control-Max-Age", "86400");
+  if (CORS_ORIGIN !== "*") res.setHeader("Vary", "Origin");
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, "http://localhost");
+  allowCors(res);
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    res.end();
+  } else if (
+    req.method === "POST" &&
+    (url.pathname === "/log" || url.pathname === "/logs")
+  ) {
+    ingest(req, res).catch((e) =>
+      sendJson(res, 413, { success: false, error: e.message })
+    );
+  } else if (req.method === "GET" && url.pathname === "/logs/stream") {
+    streamLogs(req, res, url);
+  } else if (req.method === "GET" && url.pathname === "/logs") {
+    queryLogs(req, res, url);
+  } else if (req.method === "GET" && url.pathname === "/errors") {
+    listErrors(req, res, url);
   } else {
     res.writeHead(404);
     res.end();
@@ -25,4 +178,7 @@ const server = http.createServer((req, res) => {
 
 server.listen(port, () => {
   console.log(`Log receiver listening on http://localhost:${port}/log`);
+  console.log(`Query stored logs at http://localhost:${port}/logs`);
+  console.log(`Error groups at http://localhost:${port}/errors`);
+  console.log(`Live tail at http://localhost:${port}/logs/stream`);
 });
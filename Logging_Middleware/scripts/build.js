@@ -3,7 +3,7 @@ import { dirname } from "node:path";
 import { fileURLToPath } from "node:url";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const root = __dirname.replace(/\\scripts$/, "");
+const root = dirname(__dirname);
 rmSync(`${root}/dist`, { force: true, recursive: true });
 mkdirSync(`${root}/dist`, { recursive: true });
 cpSync(`${root}/src`, `${root}/dist`, { recursive: true });
@@ -0,0 +1,141 @@
+const STATUS_COLORS = [
+  [500, "\x1b[31m"],
+  [400, "\x1b[33m"],
+  [300, "\x1b[36m"],
+  [200, "\x1b[32m"],
+];
+const RESET = "\x1b[0m";
+const MONTHS = "Jan Feb Mar Apr May Jun Jul Aug Sep Oct Nov Dec".split(" ");
+
+const pad = (n) => String(n).padStart(2, "0");
+
+function clfDate(date) {
+  const d = `${pad(date.getUTCDate())}/${MONTHS[date.getUTCMonth()]}`;
+  const t = [date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()];
+  return `${d}/${date.getUTCFullYear()}:${t.map(pad).join(":")} +0000`;
+}
+
+const dash = (value) => (value === undefined || value === "" ? "-" : value);
+const quote = (value) => `"${String(dash(value)).replace(/"/g, '\\"')}"`;
+
+function short(f) {
+  return `${f.method} ${f.url} -> ${f.status} (${f.duration}ms)`;
+}
+
+function combined(f) {
+  const request = `${f.method} ${f.url} HTTP/${f.httpVersion}`;
+  return [
+    `${dash(f.ip)} - - [${clfDate(new Date(f.startTime))}]`,
+    quote(request),
+    f.status,
+    dash(f.responseBytes),
+    quote(f.referrer),
+    quote(f.userAgent),
+  ].join(" ");
+}
+
+function dev(f) {
+  const [, color] = STATUS_COLORS.find(([min]) => f.status >= min) || [];
+  const status = color ? `${color}${f.status}${RESET}` : f.status;
+  const bytes = dash(f.responseBytes);
+  return `${f.method} ${f.url} ${status} ${f.duration} ms - ${bytes}`;
+}
+
+// Formats turn the collected request fields into the entry's message; the
+// fields themselves are always sent as `meta`.
+export const accessFormats = {
+  short,
+  json: (fields) => JSON.stringify(fields),
+  combined,
+  dev,
+};
+
+export function resolveAccessFormat(format) {
+  if (typeof format === "function") return format;
+  if (!accessFormats[format])
+    throw new Error(`unknown access log format: ${format}`);
+  return accessFormats[format];
+}
+
+const header = (value) => (Array.isArray(value) ? value.join(", ") : value);
+
+const toBytes = (value) =>
+  value === undefined || value === "" ? undefined : Number(value);
+
+// Frameworks compute the client IP from their own proxy settings (Express
+// `req.ip`, Koa `ctx.ip`, Fastify `request.ip`), so `ip` is used as is.
+// Elsewhere X-Forwarded-For is only read when `trustProxy` is set.
+export function clientIp(req, trustProxy, ip = req.ip) {
+  if (trustProxy === undefined && ip !== undefined) return ip;
+  const forwarded = header(req.headers["x-forwarded-for"]);
+  if (trustProxy && forwarded) return forwarded.split(",")[0].trim();
+  return req.socket && req.socket.remoteAddress;
+}
+
+export function routePattern(req) {
+  if (!req.route || typeof req.route.path !== "string") return undefined;
+  return `${req.baseUrl || ""}${req.route.path}`;
+}
+
+// Counts the bytes written to the response body, so chunked responses without
+// a Content-Length still report their size.
+export function countResponseBytes(res) {
+  const counter = { bytes: 0 };
+  const add = (chunk, encoding) => {
+    if (chunk && typeof chunk !== "function")
+      counter.bytes +=
+        typeof chunk === "string"
+          ? Buffer.byteLength(
+              chunk,
+              typeof encoding === "string" ? encoding : "utf8"
+            )
+          : chunk.length;
+  };
+  const { write, end } = res;
+  res.write = function (chunk, encoding, ...rest) {
+    add(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    add(chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+  return counter;
+}
+
+// Collects the access-log fields from the raw Node request and response.
+// `view` holds what only the framework knows: the original `url`, the matched
+// `route` and the client `ip`.
+export function accessFields(
+  req,
+  res,
+  { start, startTime, responseBytes, trustProxy, view = {} }
+) {
+  const duration = Number(process.hrtime.bigint() - start) / 1e6;
+  const length = toBytes(res.getHeader("content-length"));
+  return {
+    method: req.method,
+    url: view.url || req.originalUrl || req.url,
+    route: view.route || routePattern(req),
+    status: res.statusCode,
+    duration: Math.round(duration * 1000) / 1000,
+    requestBytes: toBytes(header(req.headers["content-length"])),
+    responseBytes: length === undefined ? responseBytes : length,
+    ip: clientIp(req, trustProxy, view.ip),
+    userAgent: header(req.headers["user-agent"]),
+    referrer: header(req.headers.referer || req.headers.referrer),
+    httpVersion: req.httpVersion,
+    startTime,
+  };
+}
+
+export function matchesIgnore(rules, req, url = req.originalUrl || req.url) {
+  const path = url.split("?")[0];
+  return rules.some((rule) =>
+    typeof rule === "function"
+      ? rule(req)
+      : rule instanceof RegExp
+      ? rule.test(path)
+      : rule === path
+  );
+}
@@ -0,0 +1,156 @@
+import { runWithContext } from "./context.js";
+import { createAccessLogger, createErrorReporter } from "./requestCore.js";
+
+const DELIVERY_OPTIONS = [
+  "endpoint",
+  "timeout",
+  "breaker",
+  "batch",
+  "spool",
+  "transport",
+  "transports",
+];
+
+// Errors are reported through the access log's transports, so both share one
+// batch queue and spool. When `errors` sets delivery options of its own they
+// override the access log's, except `spool`: a spool directory cannot be
+// shared. `errors: false` leaves error reporting to the framework.
+function createReporter(name, options, errors, access) {
+  if (errors === false) return null;
+  const { stack, trustProxy, redact } = options;
+  const own = errors && DELIVERY_OPTIONS.some((key) => key in errors);
+  const delivery = own
+    ? Object.fromEntries(
+        DELIVERY_OPTIONS.filter((key) => key !== "spool").map((key) => [
+          key,
+          options[key],
+        ])
+      )
+    : { transports: access.transports };
+  return createErrorReporter(name, {
+    stack,
+    trustProxy,
+    redact,
+    ...delivery,
+    ...errors,
+  });
+}
+
+// flush() and close() for an access logger and its error reporter.
+const drainBoth = (access, reporter, method) => () =>
+  Promise.all([access[method](), reporter && reporter[method]()]).then(
+    () => {}
+  );
+
+// Wraps a `node:http` request listener. Plain servers have no router, so
+// `route(req)` may name the route pattern for the access log. A handler that
+// throws or rejects is reported and answered with a 500.
+export function httpRequestLogger(handler, { route, errors, ...options } = {}) {
+  const access = createAccessLogger("httpRequestLogger", options);
+  const reporter = createReporter("httpRequestLogger", options, errors, access);
+  const listener = (req, res) => {
+    const describe = () => ({ route: route ? route(req) : undefined });
+    const context = access.begin(req, res, describe);
+    const fail = (err) => {
+      if (reporter)
+        reporter.report(err, req, {
+          requestId: context.requestId,
+          ...describe(),
+        });
+      if (!res.headersSent) res.statusCode = 500;
+      if (!res.writableEnded) res.end();
+    };
+    runWithContext(context, () => {
+      try {
+        const result = handler(req, res);
+        if (result && typeof result.then === "function")
+          result.then(undefined, fail);
+      } catch (err) {
+        fail(err);
+      }
+    });
+  };
+  listener.health = access.health;
+  listener.flush = drainBoth(access, reporter, "flush");
+  listener.close = drainBoth(access, reporter, "close");
+  return listener;
+}
+
+// Koa middleware; register it first. The route comes from @koa/router and the
+// client address from `ctx.ip`, which follows the app's `proxy` setting.
+// Errors are reported and rethrown to Koa's own handling.
+export function koaRequestLogger({ errors, ...options } = {}) {
+  const access = createAccessLogger("koaRequestLogger", options);
+  const reporter = createReporter("koaRequestLogger", options, errors, access);
+  const middleware = async (ctx, next) => {
+    const describe = () => ({
+      url: ctx.originalUrl,
+      route: ctx._matchedRoute || ctx.routerPath,
+      ip: ctx.ip,
+    });
+    const context = access.begin(ctx.req, ctx.res, describe);
+    ctx.state.requestId = context.requestId;
+    try {
+      await runWithContext(context, next);
+    } catch (err) {
+      if (reporter)
+        reporter.report(err, ctx.req, {
+          requestId: context.requestId,
+          ...describe(),
+        });
+      throw err;
+    }
+  };
+  middleware.health = access.health;
+  middleware.flush = drainBoth(access, reporter, "flush");
+  middleware.close = drainBoth(access, reporter, "close");
+  return middleware;
+}
+
+// Fastify plugin: `fastify.register(fastifyRequestLogger, options)`. It hooks
+// the root instance so every route is logged. The request context is entered
+// again before the handler because body parsing runs outside it.
+export function fastifyRequestLogger(fastify, { errors, ...options }, done) {
+  const access = createAccessLogger("fastifyRequestLogger", options);
+  const reporter = createReporter(
+    "fastifyRequestLogger",
+    options,
+    errors,
+    access
+  );
+  const contexts = new WeakMap();
+  const describe = (request) => () => ({
+    url: request.url,
+    route: request.routeOptions?.url ?? request.routerPath,
+    ip: request.ip,
+  });
+  if (!fastify.hasRequestDecorator("requestId"))
+    fastify.decorateRequest("requestId", null);
+
+  fastify.addHook("onRequest", (request, reply, next) => {
+    const context = access.begin(request.raw, reply.raw, describe(request));
+    contexts.set(request, context);
+    request.requestId = context.requestId;
+    runWithContext(context, next);
+  });
+  fastify.addHook("preHandler", (request, reply, next) => {
+    runWithContext(contexts.get(request), next);
+  });
+  if (reporter)
+    fastify.addHook("onError", (request, reply, err, next) => {
+      reporter.report(err, request.raw, {
+        requestId: request.requestId,
+        ...describe(request)(),
+      });
+      next();
+    });
+  fastify.decorate("requestLoggerHealth", access.health);
+  fastify.addHook("onClose", (instance, next) => {
+    drainBoth(access, reporter, "close")().then(() => next(), next);
+  });
+  done();
+}
+
+fastifyRequestLogger[Symbol.for("skip-override")] = true;
+fastifyRequestLogger[Symbol.for("fastify.display-name")] =
+  "fastifyRequestLogger";
@@ -0,0 +1,138 @@
+import { createSender } from "./delivery.js";
+import { createSpool } from "./spool.js";
+
+const DROP_POLICIES = new Set(["oldest", "newest"]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function createBatchTransport({
+  endpoint,
+  token,
+  headers,
+  timeout,
+  breaker,
+  maxBatchSize = 50,
+  flushInterval = 1000,
+  maxQueueSize = 1000,
+  dropPolicy = "oldest",
+  maxRetries = 5,
+  retryDelay = 200,
+  maxRetryDelay = 30000,
+  format = (entry) => entry,
+  encode = (batch) => batch,
+  spool: spoolOptions,
+  onDrop,
+} = {}) {
+  if (!endpoint) throw new Error("createBatchTransport requires endpoint");
+  if (!DROP_POLICIES.has(dropPolicy))
+    throw new Error(`invalid dropPolicy: ${dropPolicy}`);
+
+  const queue = [];
+  let timer = null;
+  let pending = Promise.resolve();
+  let closed = false;
+  const sender = createSender({ endpoint, token, headers, timeout, breaker });
+
+  const drop = (entries, reason) => {
+    sender.drop(entries.length);
+    if (onDrop) onDrop(entries, reason);
+  };
+
+  const spool = spoolOptions
+    ? createSpool({
+        batchSize: maxBatchSize,
+        onDrop: drop,
+        ...spoolOptions,
+        send: (entries, { key }) =>
+          sender
+            .send(encode(entries), entries.length, { "Idempotency-Key": key })
+            .then((res) => res.ok),
+      })
+    : null;
+
+  const schedule = () => {
+    if (timer || closed) return;
+    timer = setTimeout(() => {
+      timer = null;
+      flush();
+    }, flushInterval);
+    if (timer.unref) timer.unref();
+  };
+
+  // Retries with exponential backoff until the batch is delivered, fails
+  // with a status that is not worth retrying, or the circuit opens.
+  const send = async (batch) => {
+    let res;
+    for (let attempt = 0; ; attempt++) {
+      res = await sender.send(encode(batch), batch.length);
+      if (res.ok) return true;
+      if (!res.retryable || res.open || attempt >= maxRetries) break;
+      await sleep(Math.min(maxRetryDelay, retryDelay * 2 ** attempt));
+    }
+    const { retryable, error: reason } = res;
+    if (spool && retryable) spool.append(batch);
+    else drop(batch, reason);
+    return false;
+  };
+
+  // A batch that cannot be sent or spooled (a throwing `encode`, a full disk
+  // or a removed spool directory) is dropped so the flush chain keeps going.
+  const drain = async () => {
+    while (queue.length) {
+      const batch = queue.splice(0, maxBatchSize);
+      try {
+        if (spool && spool.pending) spool.append(batch);
+        else await send(batch);
+      } catch (err) {
+        drop(batch, err.message || String(err));
+      }
+    }
+    if (spool && spool.pending) await spool.replay();
+  };
+
+  function flush() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    pending = pending.then(drain);
+    return pending;
+  }
+
+  function log(entry) {
+    if (closed) {
+      drop([entry], "transport closed");
+      return false;
+    }
+    if (queue.length >= maxQueueSize) {
+      if (dropPolicy === "newest") {
+        drop([entry], "queue full");
+        return false;
+      }
+      drop(queue.splice(0, 1), "queue full");
+    }
+    queue.push(format(entry));
+    if (queue.length >= maxBatchSize) flush();
+    else schedule();
+    return true;
+  }
+
+  function close() {
+    closed = true;
+    return flush().then(() => spool && spool.close());
+  }
+
+  return {
+    log,
+    flush,
+    close,
+    health: () => ({
+      ...sender.health(),
+      queued: queue.length,
+      spoolBytes: spool ? spool.bytes : 0,
+    }),
+    get size() {
+      return queue.length;
+    },
+  };
+}
@@ -0,0 +1,54 @@
+// Stops delivery after `failureThreshold` consecutive failures. Once
+// `resetTimeout` ms have passed one probe is let through ("half-open"): its
+// success closes the circuit again and its failure reopens it.
+export function createCircuitBreaker({
+  failureThreshold = 5,
+  resetTimeout = 30000,
+  now = Date.now,
+} = {}) {
+  let state = "closed";
+  let failures = 0;
+  let openedAt = 0;
+  let probing = false;
+
+  return {
+    allow() {
+      if (state === "closed") return true;
+      if (state === "open" && now() - openedAt >= resetTimeout) {
+        state = "half-open";
+        probing = false;
+      }
+      if (state !== "half-open" || probing) return false;
+      probing = true;
+      return true;
+    },
+    success() {
+      state = "closed";
+      failures = 0;
+      probing = false;
+    },
+    failure() {
+      failures += 1;
+      probing = false;
+      if (state === "half-open" || failures >= failureThreshold) {
+        state = "open";
+        openedAt = now();
+      }
+    },
+    get state() {
+      if (state === "open" && now() - openedAt >= resetTimeout)
+        return "half-open";
+      return state;
+    },
+    snapshot() {
+      const current = this.state;
+      return {
+        state: current,
+        failures,
+        ...(current === "closed"
+          ? {}
+          : { retryAt: new Date(openedAt + resetTimeout).toISOString() }),
+      };
+    },
+  };
+}
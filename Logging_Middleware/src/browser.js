@@ -0,0 +1,24 @@
+import { createLogApi } from "./core.js";
+import { browserRuntime } from "./runtime/browser.js";
+
+const api = createLogApi(browserRuntime);
+
+export const Log = api.Log;
+
+export function createLogger(options = {}) {
+  return api.createLogger({ stack: "frontend", package: "api", ...options });
+}
+
+export { getLogLevel, setLogLevel } from "./levels.js";
+export {
+  configureTaxonomy,
+  getTaxonomy,
+  resetTaxonomy,
+  validateEntry,
+} from "./taxonomy.js";
+export { DEFAULT_REDACT_KEYS, REDACT_PATTERNS } from "./redact.js";
+export { createRedactor } from "./runtime/browser.js";
+export { formats } from "./formats.js";
+export { beaconTransport } from "./transports/beacon.js";
+export { consoleTransport } from "./transports/console.js";
+export { memoryTransport } from "./transports/memory.js";
@@ -0,0 +1,15 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+
+const storage = new AsyncLocalStorage();
+
+export function getContext() {
+  return storage.getStore() || {};
+}
+
+export function runWithContext(context, fn) {
+  return storage.run({ ...getContext(), ...context }, fn);
+}
+
+export function getRequestId() {
+  return getContext().requestId;
+}
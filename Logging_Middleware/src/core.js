@@ -0,0 +1,263 @@
+import { postJson } from "./http.js";
+import { LEVEL_VALUES, isLevelEnabled, resolveLevel } from "./levels.js";
+import { resolveRedactor } from "./redact.js";
+import { resolveSampler } from "./sampling.js";
+import { capMeta, toSerializable } from "./serialize.js";
+import {
+  assertLoggerOptions,
+  isValidPackage,
+  isValidStack,
+} from "./taxonomy.js";
+
+export const DEFAULT_ENDPOINT = "http://20.244.56.144/evaluation-service/logs";
+
+const sinks = [];
+
+// Used by captureLogs(): while a sink is installed, Log() hands finished
+// entries to the newest one instead of delivering them. Returns a function
+// that removes the sink again.
+export function installSink(sink) {
+  sinks.push(sink);
+  return () => {
+    const index = sinks.lastIndexOf(sink);
+    if (index !== -1) sinks.splice(index, 1);
+  };
+}
+
+function mergeMeta(defaultMeta, meta) {
+  const extra = meta instanceof Error ? { error: meta } : meta;
+  if (!defaultMeta) return extra;
+  if (!extra) return defaultMeta;
+  return { ...defaultMeta, ...extra };
+}
+
+// Redaction sees the whole serialized `meta`; the size cap applies afterwards
+// so a truncated preview never carries a secret the rules would have removed.
+function buildPayload(runtime, stack, level, pkg, message, options, redact) {
+  const payload = {
+    stack,
+    level,
+    package: pkg,
+    message,
+    timestamp: new Date().toISOString(),
+    ...runtime.describe(),
+  };
+  const context = runtime.getContext();
+  const requestId = options.requestId || context.requestId;
+  if (requestId) payload.requestId = requestId;
+  const traceId = options.traceId || context.traceId;
+  if (traceId) {
+    payload.traceId = traceId;
+    payload.spanId = options.traceId ? options.spanId : context.spanId;
+  }
+  const meta = mergeMeta(options.defaultMeta, options.meta);
+  if (meta && Object.keys(meta).length)
+    payload.meta = toSerializable(meta, options.serialize);
+  const out = redact ? redact(payload) : payload;
+  if (out.meta !== undefined) out.meta = capMeta(out.meta, options.serialize);
+  return out;
+}
+
+async function dispatch(transports, entry, options) {
+  const targets = transports.filter((t) =>
+    isLevelEnabled(entry.level, t.level)
+  );
+  const results = await Promise.allSettled(targets.map((t) => t.log(entry)));
+  const failed = results.find((r) => r.status === "rejected");
+  if (failed && !options.suppressErrors) throw failed.reason;
+  return {
+    ok: !failed,
+    results,
+    ...(failed ? { error: String(failed.reason) } : {}),
+  };
+}
+
+// Sums the delivery counters of the transports that report them. The status
+// is "degraded" while any circuit breaker is open or probing.
+export function healthOf(transports) {
+  const reports = transports.map((t) => ({
+    name: t.name,
+    ...(t.health ? t.health() : {}),
+  }));
+  const total = (key) => reports.reduce((n, r) => n + (r[key] || 0), 0);
+  const tripped = reports.some(
+    (r) => r.breaker && ["open", "half-open"].includes(r.breaker.state)
+  );
+  return {
+    status: tripped ? "degraded" : "ok",
+    delivered: total("delivered"),
+    failed: total("failed"),
+    dropped: total("dropped"),
+    transports: reports,
+  };
+}
+
+// Builds Log() and createLogger() for one environment. The runtime supplies
+// what differs between Node and the browser: the default endpoint, token and
+// transports, the fields describing the process (`describe()`), the ambient
+// request context (`getContext()`) and the hash used by redaction.
+export function createLogApi(runtime) {
+  async function Log(stack, level, pkg, message, options = {}) {
+    if (!stack || !level || !pkg)
+      throw new Error("stack, level, and package are required");
+    const s = String(stack).toLowerCase();
+    const l = String(level).toLowerCase();
+    const p = String(pkg).toLowerCase();
+    if (!isValidStack(s)) throw new Error(`invalid stack: ${s}`);
+    if (!LEVEL_VALUES.has(l)) throw new Error(`invalid level: ${l}`);
+    if (!isValidPackage(s, p))
+      throw new Error(`invalid package for ${s}: ${p}`);
+    if (!isLevelEnabled(l, resolveLevel(p, options.level)))
+      return { ok: true, skipped: true };
+    const info = { stack: s, level: l, package: p, message };
+    if (options.sampler && !options.sampler.check(info))
+      return { ok: true, skipped: true };
+    const endpoint = options.endpoint || runtime.endpoint;
+    const token = options.token || runtime.token;
+    const redact = resolveRedactor(options.redact, runtime.hash);
+    const payload = buildPayload(runtime, s, l, p, message, options, redact);
+    if (sinks.length) {
+      sinks[sinks.length - 1](payload);
+      return { ok: true, captured: true };
+    }
+    const transports =
+      options.transports || (options.transport ? [options.transport] : null);
+    if (transports) return dispatch(transports, payload, options);
+    try {
+      const res = await postJson(endpoint, payload, {
+        token,
+        timeout: options.timeout,
+      });
+      if (!res.ok && !options.suppressErrors) {
+        throw new Error(`Log post failed: ${res.status}`);
+      }
+      return res;
+    } catch (err) {
+      if (options.suppressErrors) return { ok: false, error: String(err) };
+      throw err;
+    }
+  }
+
+  function createLogger({
+    stack,
+    package: pkg,
+    endpoint = runtime.endpoint,
+    token = runtime.token,
+    defaultLevel = "info",
+    level,
+    defaultMeta,
+    serialize,
+    redact,
+    sample,
+    timeout,
+    breaker,
+    batch,
+    spool,
+    transports = runtime.transports({
+      endpoint,
+      token,
+      timeout,
+      breaker,
+      batch,
+      spool,
+    }),
+  } = {}) {
+    assertLoggerOptions("createLogger", {
+      stack,
+      package: pkg,
+      levels: [defaultLevel, level],
+    });
+    const redactor = resolveRedactor(redact, runtime.hash);
+    const sampler = resolveSampler(sample, (info, message, meta) =>
+      Log(info.stack, info.level, info.package, message, {
+        transports,
+        defaultMeta,
+        meta,
+        serialize,
+        redact: redactor,
+      }).catch(() => {})
+    );
+    const each = (method) => {
+      if (sampler) sampler[method]();
+      return Promise.all(
+        transports.map((t) => (t[method] ? t[method]() : null))
+      );
+    };
+
+    // A child shares its parent's transports, sampler and redaction. Its
+    // `level` falls back to the parent's current level while unset.
+    function build(base, inherited = () => undefined) {
+      const level = () => base.level || inherited();
+      const threshold = () =>
+        resolveLevel(String(base.pkg).toLowerCase(), level());
+      const call = (lvl, message, meta) =>
+        Log(base.stack, lvl || base.defaultLevel, base.pkg, message, {
+          level: level(),
+          transports,
+          defaultMeta: base.defaultMeta,
+          meta,
+          serialize,
+          redact: redactor,
+          sampler,
+        });
+      return {
+        log: call,
+        debug: (msg, meta) => call("debug", msg, meta),
+        info: (msg, meta) => call("info", msg, meta),
+        warn: (msg, meta) => call("warn", msg, meta),
+        error: (msg, meta) => call("error", msg, meta),
+        fatal: (msg, meta) => call("fatal", msg, meta),
+        child({
+          package: childPkg = base.pkg,
+          meta,
+          level: childLevel,
+          defaultLevel: childDefault = base.defaultLevel,
+        } = {}) {
+          assertLoggerOptions("child", {
+            stack: base.stack,
+            package: childPkg,
+            levels: [childDefault, childLevel],
+          });
+          return build(
+            {
+              ...base,
+              pkg: childPkg,
+              defaultLevel: childDefault,
+              defaultMeta: mergeMeta(base.defaultMeta, meta),
+              level: childLevel,
+            },
+            level
+          );
+        },
+        // Logs `<label> (<ms>ms)` with `meta.duration` when `end()` is called.
+        time(label, { level: lvl, meta } = {}) {
+          const start = performance.now();
+          return {
+            end(extra) {
+              const ms = Math.round((performance.now() - start) * 1000) / 1000;
+              return call(lvl, `${label} (${ms}ms)`, {
+                ...meta,
+                ...extra,
+                duration: ms,
+              });
+            },
+          };
+        },
+        setLevel(next) {
+          if (next && !LEVEL_VALUES.has(next))
+            throw new Error(`invalid level: ${next}`);
+          base.level = next || undefined;
+        },
+        getLevel: () => threshold(),
+        isLevelEnabled: (lvl) => isLevelEnabled(lvl, threshold()),
+        flush: () => each("flush").then(() => {}),
+        close: () => each("close").then(() => {}),
+        health: () => healthOf(transports),
+      };
+    }
+
+    return build({ stack, pkg, defaultLevel, defaultMeta, level });
+  }
+
+  return { Log, createLogger };
+}
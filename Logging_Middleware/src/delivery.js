@@ -0,0 +1,58 @@
+import { createCircuitBreaker } from "./breaker.js";
+import { isRetryable, postJson } from "./http.js";
+
+// Posts to one endpoint through a circuit breaker (disabled with
+// `breaker: false`) and counts delivered entries, failed requests and dropped
+// entries for health(). `send` never throws; it reports whether a failure is
+// worth retrying. Only timeouts, network errors and retryable statuses count
+// against the breaker: any other response shows the collector is up.
+export function createSender({
+  endpoint,
+  token,
+  headers,
+  timeout,
+  breaker: breakerOptions,
+}) {
+  const breaker =
+    breakerOptions === false ? null : createCircuitBreaker(breakerOptions);
+  const stats = { delivered: 0, failed: 0, dropped: 0 };
+
+  async function send(body, count, extraHeaders) {
+    if (breaker && !breaker.allow())
+      return { ok: false, retryable: true, open: true, error: "circuit open" };
+    let res;
+    try {
+      res = await postJson(endpoint, body, {
+        token,
+        timeout,
+        headers: { ...headers, ...extraHeaders },
+      });
+    } catch (err) {
+      if (breaker) breaker.failure();
+      stats.failed += 1;
+      return { ok: false, retryable: true, error: err.message || String(err) };
+    }
+    const retryable = !res.ok && isRetryable(res.status);
+    if (breaker) {
+      if (retryable) breaker.failure();
+      else breaker.success();
+    }
+    if (res.ok) {
+      stats.delivered += count;
+      return { ...res, retryable };
+    }
+    stats.failed += 1;
+    return { ...res, retryable, error: `Log post failed: ${res.status}` };
+  }
+
+  return {
+    send,
+    drop(count) {
+      stats.dropped += count;
+    },
+    health: () => ({
+      ...stats,
+      breaker: breaker ? breaker.snapshot() : { state: "disabled" },
+    }),
+  };
+}
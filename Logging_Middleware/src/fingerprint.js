@@ -0,0 +1,43 @@
+import { createHash } from "node:crypto";
+
+const FRAME_RE = /^\s*at (?:(.+?) \()?(.+?)(?::\d+){0,2}\)?$/;
+const MAX_FRAMES = 5;
+
+// Reduces a V8 stack to "function@file" frames without line and column
+// numbers or directory prefixes, so the result survives unrelated edits and
+// deployments to a different path. Node internals are skipped.
+export function normalizeStack(stack = "") {
+  const frames = [];
+  for (const line of String(stack).split("\n")) {
+    const match = FRAME_RE.exec(line);
+    if (!match) continue;
+    const file = match[2].replace(/^file:\/\//, "");
+    if (file.startsWith("node:") || file.startsWith("internal/")) continue;
+    const name = (match[1] || "<anonymous>").replace(/^async /, "");
+    const modules = file.lastIndexOf("node_modules/");
+    const short =
+      modules === -1
+        ? file.split(/[\\/]/).pop()
+        : file.slice(modules + "node_modules/".length);
+    frames.push(`${name}@${short}`);
+    if (frames.length === MAX_FRAMES) break;
+  }
+  return frames;
+}
+
+const normalizeMessage = (message = "") =>
+  String(message)
+    .replace(/[0-9a-f]{8}-[0-9a-f-]{27}/gi, "<id>")
+    .replace(/\d+/g, "<n>");
+
+// Groups occurrences of one bug: the error name plus its top stack frames, or
+// the message with numbers and IDs removed when there is no usable stack.
+export function fingerprintError(err) {
+  if (!err || typeof err !== "object") return undefined;
+  const frames = normalizeStack(err.stack);
+  const basis = frames.length ? frames : [normalizeMessage(err.message)];
+  return createHash("sha256")
+    .update([err.name || "Error", ...basis].join("\n"))
+    .digest("hex")
+    .slice(0, 16);
+}
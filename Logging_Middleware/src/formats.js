@@ -0,0 +1,30 @@
+const COLORS = {
+  debug: "\x1b[90m",
+  info: "\x1b[36m",
+  warn: "\x1b[33m",
+  error: "\x1b[31m",
+  fatal: "\x1b[35m",
+};
+const RESET = "\x1b[0m";
+
+function simple(entry) {
+  const time = entry.timestamp || new Date().toISOString();
+  const meta = entry.meta ? ` ${JSON.stringify(entry.meta)}` : "";
+  const level = entry.level.toUpperCase();
+  const scope = `${entry.stack}/${entry.package}`;
+  return `${time} ${level} [${scope}] ${entry.message}${meta}`;
+}
+
+export const formats = {
+  raw: (entry) => entry,
+  json: (entry) => JSON.stringify(entry),
+  simple,
+  pretty: (entry) => `${COLORS[entry.level] || ""}${simple(entry)}${RESET}`,
+};
+
+export function resolveFormat(format, fallback) {
+  if (!format) return formats[fallback];
+  if (typeof format === "function") return format;
+  if (!formats[format]) throw new Error(`unknown format: ${format}`);
+  return formats[format];
+}
@@ -0,0 +1,42 @@
+export const DEFAULT_TIMEOUT = 10000;
+
+export function isRetryable(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// Aborts the request, including reading the response, after `timeout` ms.
+export async function postJson(
+  url,
+  body,
+  { token, headers, timeout = DEFAULT_TIMEOUT } = {}
+) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+    return { ok: res.ok, status: res.status, data: await safeJson(res) };
+  } catch (err) {
+    if (controller.signal.aborted)
+      throw new Error(`Log post timed out after ${timeout}ms`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function safeJson(res) {
+  try {
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
@@ -1,2 +1,39 @@
 export { Log, createLogger } from "./logger.js";
+export { getContext, getRequestId, runWithContext } from "./context.js";
+export {
+  configureTracing,
+  formatTraceparent,
+  parseTraceparent,
+  resetTracing,
+  startSpan,
+  traceHeaders,
+  withSpan,
+} from "./trace.js";
+export { getLogLevel, setLogLevel } from "./levels.js";
+export {
+  configureTaxonomy,
+  getTaxonomy,
+  resetTaxonomy,
+  validateEntry,
+} from "./taxonomy.js";
+export { DEFAULT_REDACT_KEYS, REDACT_PATTERNS } from "./redact.js";
+export { createRedactor } from "./runtime/node.js";
+export { createBatchTransport } from "./batch.js";
+export { formats } from "./formats.js";
+export {
+  consoleTransport,
+  fileTransport,
+  httpTransport,
+  memoryTransport,
+  otlpTransport,
+  syslogTransport,
+} from "./transports/index.js";
+export { accessFormats } from "./accessLog.js";
 export { requestLogger, errorLogger } from "./middlewares.js";
+export {
+  fastifyRequestLogger,
+  httpRequestLogger,
+  koaRequestLogger,
+} from "./adapters.js";
+export { createMetrics, metricsMiddleware } from "./metrics.js";
+export { installProcessHandlers } from "./process.js";
@@ -0,0 +1,62 @@
+export const LEVELS = ["debug", "info", "warn", "error", "fatal"];
+export const LEVEL_VALUES = new Set(LEVELS);
+
+export function levelRank(level) {
+  return LEVELS.indexOf(level);
+}
+
+export function isLevelEnabled(level, minLevel) {
+  return !minLevel || levelRank(level) >= levelRank(minLevel);
+}
+
+function assertLevel(level) {
+  if (!LEVEL_VALUES.has(level)) throw new Error(`invalid level: ${level}`);
+  return level;
+}
+
+export function parseLevelOverrides(spec = "") {
+  const overrides = new Map();
+  for (const part of spec.split(",")) {
+    const [pkg, level] = part.split("=").map((s) => s.trim().toLowerCase());
+    if (!pkg || !level) continue;
+    overrides.set(pkg, assertLevel(level));
+  }
+  return overrides;
+}
+
+function fromEnv(read, fallback) {
+  try {
+    return read();
+  } catch (err) {
+    console.warn(`[logging-middleware] ignoring ${err.message} from env`);
+    return fallback;
+  }
+}
+
+const env = typeof process !== "undefined" && process.env ? process.env : {};
+
+let globalLevel = fromEnv(
+  () => env.LOG_LEVEL && assertLevel(env.LOG_LEVEL.toLowerCase()),
+  undefined
+);
+const packageLevels = fromEnv(
+  () => parseLevelOverrides(env.LOG_LEVELS),
+  new Map()
+);
+
+// Precedence: per-package override, then the logger's own level, then the
+// global level; with none of them set every level is enabled.
+export function resolveLevel(pkg, loggerLevel) {
+  return packageLevels.get(pkg) || loggerLevel || globalLevel || LEVELS[0];
+}
+
+export function setLogLevel(level, pkg) {
+  const value = level ? assertLevel(String(level).toLowerCase()) : undefined;
+  if (pkg === undefined) globalLevel = value;
+  else if (value) packageLevels.set(String(pkg).toLowerCase(), value);
+  else packageLevels.delete(String(pkg).toLowerCase());
+}
+
+export function getLogLevel(pkg) {
+  return pkg === undefined ? globalLevel : packageLevels.get(pkg);
+}
@@ -0,0 +1,199 @@
+import { monitorEventLoopDelay } from "node:perf_hooks";
+import { matchesIgnore, routePattern } from "./accessLog.js";
+
+export const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+const escape = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+
+const labelText = (labels) => {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escape(v)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+};
+
+const sample = (name, labels, value) => `${name}${labelText(labels)} ${value}`;
+
+const header = (name, type, help) => [
+  `# HELP ${name} ${help}`,
+  `# TYPE ${name} ${type}`,
+];
+
+// Keeps the HTTP counters and latency histograms for metricsMiddleware() and
+// renders them, with process metrics, in the Prometheus text format.
+export function createMetrics({
+  prefix = "",
+  buckets = DEFAULT_BUCKETS,
+  collectProcess = true,
+} = {}) {
+  const sorted = [...buckets].sort((a, b) => a - b);
+  const requests = new Map();
+  const durations = new Map();
+  let inFlight = 0;
+  const loop = collectProcess ? monitorEventLoopDelay() : null;
+  if (loop) loop.enable();
+
+  function observe({ method, route, status, duration }) {
+    const labels = {
+      method,
+      route,
+      status_class: `${Math.floor(status / 100)}xx`,
+    };
+    const key = JSON.stringify(labels);
+    requests.set(key, { labels, value: (requests.get(key)?.value || 0) + 1 });
+    let hist = durations.get(key);
+    if (!hist) {
+      hist = { labels, counts: sorted.map(() => 0), sum: 0, count: 0 };
+      durations.set(key, hist);
+    }
+    sorted.forEach((bound, i) => {
+      if (duration <= bound) hist.counts[i] += 1;
+    });
+    hist.sum += duration;
+    hist.count += 1;
+  }
+
+  function processLines() {
+    const cpu = process.cpuUsage();
+    const mem = process.memoryUsage();
+    const gauge = (name, help, value, type = "gauge") => [
+      ...header(`${prefix}${name}`, type, help),
+      sample(`${prefix}${name}`, {}, value),
+    ];
+    return [
+      ...gauge(
+        "process_cpu_user_seconds_total",
+        "User CPU time spent in seconds.",
+        cpu.user / 1e6,
+        "counter"
+      ),
+      ...gauge(
+        "process_cpu_system_seconds_total",
+        "System CPU time spent in seconds.",
+        cpu.system / 1e6,
+        "counter"
+      ),
+      ...gauge(
+        "process_resident_memory_bytes",
+        "Resident memory size in bytes.",
+        mem.rss
+      ),
+      ...gauge(
+        "nodejs_heap_size_total_bytes",
+        "Process heap size in bytes.",
+        mem.heapTotal
+      ),
+      ...gauge(
+        "nodejs_heap_size_used_bytes",
+        "Process heap size used in bytes.",
+        mem.heapUsed
+      ),
+      ...gauge(
+        "process_start_time_seconds",
+        "Start time of the process since the Unix epoch in seconds.",
+        Math.round(Date.now() / 1000 - process.uptime())
+      ),
+      ...gauge(
+        "nodejs_eventloop_lag_seconds",
+        "Mean event loop delay in seconds.",
+        Number.isNaN(loop.mean) ? 0 : loop.mean / 1e9
+      ),
+    ];
+  }
+
+  function render() {
+    const total = `${prefix}http_requests_total`;
+    const duration = `${prefix}http_request_duration_seconds`;
+    const active = `${prefix}http_requests_in_flight`;
+    const lines = [
+      ...header(total, "counter", "Total HTTP requests."),
+      ...[...requests.values()].map((c) => sample(total, c.labels, c.value)),
+      ...header(duration, "histogram", "HTTP request duration in seconds."),
+    ];
+    for (const hist of durations.values()) {
+      sorted.forEach((bound, i) =>
+        lines.push(
+          sample(
+            `${duration}_bucket`,
+            { ...hist.labels, le: bound },
+            hist.counts[i]
+          )
+        )
+      );
+      lines.push(
+        sample(
+          `${duration}_bucket`,
+          { ...hist.labels, le: "+Inf" },
+          hist.count
+        ),
+        sample(`${duration}_sum`, hist.labels, hist.sum),
+        sample(`${duration}_count`, hist.labels, hist.count)
+      );
+    }
+    lines.push(
+      ...header(active, "gauge", "HTTP requests currently being served."),
+      sample(active, {}, inFlight)
+    );
+    if (loop) lines.push(...processLines());
+    return `${lines.join("\n")}\n`;
+  }
+
+  return {
+    observe,
+    render,
+    start: () => (inFlight += 1),
+    end: () => (inFlight -= 1),
+    reset() {
+      requests.clear();
+      durations.clear();
+      if (loop) loop.reset();
+    },
+    close() {
+      if (loop) loop.disable();
+    },
+  };
+}
+
+// Records every request's method, matched route and status class, and serves
+// the metrics on GET `path`. Requests that matched no route are counted under
+// route "unmatched" so raw URLs never become label values.
+export function metricsMiddleware({
+  path = "/metrics",
+  ignore = [],
+  metrics,
+  ...options
+} = {}) {
+  const registry = metrics || createMetrics(options);
+  const middleware = (req, res, next) => {
+    const url = (req.originalUrl || req.url).split("?")[0];
+    if (path && url === path && req.method === "GET") {
+      res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+      res.end(registry.render());
+      return;
+    }
+    if (matchesIgnore(ignore, req)) return next();
+    const start = process.hrtime.bigint();
+    registry.start();
+    let done = false;
+    const finish = () => {
+      if (done) return;
+      done = true;
+      registry.end();
+      registry.observe({
+        method: req.method,
+        route: routePattern(req) || "unmatched",
+        status: res.statusCode,
+        duration: Number(process.hrtime.bigint() - start) / 1e9,
+      });
+    };
+    res.on("finish", finish);
+    res.on("close", finish);
+    next();
+  };
+  middleware.metrics = registry;
+  return middleware;
+}
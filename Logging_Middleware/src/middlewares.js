@@ -1,35 +1,27 @@
-import { Log } from "./logger.js";
+import { getRequestId, runWithContext } from "./context.js";
+import { createAccessLogger, createErrorReporter } from "./requestCore.js";
 
-export function requestLogger({
-  stack = "backend",
-  package: pkg = "route",
-  endpoint,
-  level = "info",
-} = {}) {
-  return async (req, res, next) => {
-    const start = Date.now();
-    res.on("finish", () => {
-      const duration = Date.now() - start;
-      const message = `${req.method} ${req.originalUrl} -> ${res.statusCode} (${duration}ms)`;
-      Log(stack, level, pkg, message, {
-        endpoint,
-      }).catch(() => {});
-    });
-    next();
+export function requestLogger(options) {
+  const access = createAccessLogger("requestLogger", options);
+  const middleware = (req, res, next) => {
+    const context = access.begin(req, res);
+    req.id = context.requestId;
+    runWithContext(context, next);
   };
+  middleware.health = access.health;
+  middleware.flush = access.flush;
+  middleware.close = access.close;
+  return middleware;
 }
 
-export function errorLogger({
-  stack = "backend",
-  package: pkg = "handler",
-  endpoint,
-  level = "error",
-} = {}) {
-  return (err, req, res, next) => {
-    const message = err && err.message ? err.message : "Unhandled error";
-    Log(stack, level, pkg, message, {
-      endpoint,
-    }).catch(() => {});
+export function errorLogger(options) {
+  const reporter = createErrorReporter("errorLogger", options);
+  const middleware = (err, req, res, next) => {
+    reporter.report(err, req, { requestId: req.id || getRequestId() });
     next(err);
   };
+  middleware.health = reporter.health;
+  middleware.flush = reporter.flush;
+  middleware.close = reporter.close;
+  return middleware;
 }
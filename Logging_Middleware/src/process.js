@@ -0,0 +1,87 @@
+import { constants } from "node:os";
+import { fingerprintError } from "./fingerprint.js";
+import { createLogger } from "./logger.js";
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const expired = new Promise((resolve) => {
+    timer = setTimeout(() => resolve("timeout"), ms);
+  });
+  return Promise.race([promise.then(() => "done"), expired]).finally(() =>
+    clearTimeout(timer)
+  );
+};
+
+// Logs uncaught exceptions, unhandled rejections and termination signals at
+// fatal level, then waits up to `timeout` ms for the logger and everything in
+// `flush` (loggers or transports) to deliver before calling `exit`. Crashes
+// exit with 1 and signals with 128 + the signal number; a second signal
+// during shutdown exits at once. Returns a function removing the handlers.
+export function installProcessHandlers({
+  logger,
+  stack = "backend",
+  package: pkg = "service",
+  flush = [],
+  timeout = 3000,
+  signals = ["SIGTERM", "SIGINT"],
+  onShutdown,
+  exit = (code) => process.exit(code),
+} = {}) {
+  const log = logger || createLogger({ stack, package: pkg });
+  let exiting = false;
+
+  const drain = () =>
+    Promise.allSettled(
+      [log, ...flush].map((target) => target.flush && target.flush())
+    );
+
+  async function shutdown(code, message, meta, hook) {
+    if (exiting) return;
+    exiting = true;
+    const logged = log
+      .fatal(message, meta)
+      .catch(() => {})
+      .then(drain);
+    // a hook that throws synchronously must not skip the timeout and exit
+    const ran = hook && Promise.resolve().then(hook);
+    const work = Promise.all([logged, ran]).then(drain);
+    const result = await withTimeout(
+      work.catch((err) => console.error("Shutdown failed:", err)),
+      timeout
+    );
+    if (result === "timeout")
+      console.error(`Log flush timed out after ${timeout}ms`);
+    exit(code);
+  }
+
+  const crash = (event, label) => (err) => {
+    console.error(`${label}:`, err);
+    const message = `${label}: ${err && err.message ? err.message : err}`;
+    shutdown(1, message, {
+      event,
+      error: err,
+      fingerprint: fingerprintError(err),
+    });
+  };
+
+  const listeners = [
+    ["uncaughtException", crash("uncaughtException", "Uncaught exception")],
+    ["unhandledRejection", crash("unhandledRejection", "Unhandled rejection")],
+    ...signals.map((signal) => [
+      signal,
+      () => {
+        if (exiting) return exit(128 + constants.signals[signal]);
+        shutdown(
+          128 + constants.signals[signal],
+          `Received ${signal}, shutting down`,
+          { event: "signal", signal },
+          onShutdown && (() => onShutdown(signal))
+        );
+      },
+    ]),
+  ];
+  for (const [event, listener] of listeners) process.on(event, listener);
+  return () => {
+    for (const [event, listener] of listeners) process.off(event, listener);
+  };
+}
@@ -0,0 +1,166 @@
+const ACTIONS = new Set(["mask", "hash", "drop"]);
+
+export const DEFAULT_REDACT_KEYS = [
+  "password",
+  "passwd",
+  "secret",
+  "token",
+  "accessToken",
+  "refreshToken",
+  "apiKey",
+  "api_key",
+  "authorization",
+  "cookie",
+  "set-cookie",
+];
+
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) d = d * 2 > 9 ? d * 2 - 9 : d * 2;
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+export const REDACT_PATTERNS = {
+  bearer: { pattern: /\bBearer\s+[\w\-.~+/]+=*/gi },
+  queryToken: {
+    pattern:
+      /([?&](?:access_token|token|api_key|apikey|key|secret|password|sig|signature)=)[^&#\s]+/gi,
+    keepPrefix: true,
+  },
+  email: { pattern: /\b[\w.%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+  card: {
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    test: (match) => luhn(match.replace(/[ -]/g, "")),
+  },
+  ipv4: {
+    pattern:
+      /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g,
+  },
+  ipv6: { pattern: /\b(?:[A-Fa-f0-9]{1,4}:){7}[A-Fa-f0-9]{1,4}\b/g },
+};
+
+function toRule(spec, fallbackAction) {
+  const rule =
+    typeof spec === "string"
+      ? REDACT_PATTERNS[spec]
+      : spec instanceof RegExp
+      ? { pattern: spec }
+      : spec;
+  if (!rule || !(rule.pattern instanceof RegExp))
+    throw new Error(`unknown redaction pattern: ${spec}`);
+  const flags = rule.pattern.flags.includes("g")
+    ? rule.pattern.flags
+    : `${rule.pattern.flags}g`;
+  return {
+    ...rule,
+    pattern: new RegExp(rule.pattern.source, flags),
+    action: checkAction(rule.action || fallbackAction),
+  };
+}
+
+function checkAction(action) {
+  if (!ACTIONS.has(action))
+    throw new Error(`invalid redaction action: ${action}`);
+  return action;
+}
+
+// Returns a function that copies an entry with secrets removed from its
+// `message` and `meta`. `paths` are dot-separated paths from the entry root
+// ("meta.user.email", with "*" matching any one segment); `keys` match a
+// property name at any depth, case-insensitively; `patterns` are names from
+// REDACT_PATTERNS, RegExps or `{ pattern, action }` rules applied to strings.
+export function createRedactor({
+  paths = [],
+  keys = DEFAULT_REDACT_KEYS,
+  patterns = Object.keys(REDACT_PATTERNS),
+  action = "mask",
+  mask = "[REDACTED]",
+  salt = "",
+  hash: digest,
+} = {}) {
+  checkAction(action);
+  const pathRules = paths.map((spec) => {
+    const { path, action: a = action } =
+      typeof spec === "string" ? { path: spec } : spec;
+    return { segments: path.split("."), action: checkAction(a) };
+  });
+  const keyRules = new Map(
+    keys.map((spec) => {
+      const { key, action: a = action } =
+        typeof spec === "string" ? { key: spec } : spec;
+      return [key.toLowerCase(), checkAction(a)];
+    })
+  );
+  const patternRules = patterns.map((spec) => toRule(spec, action));
+
+  const actions = [action, ...pathRules, ...keyRules.values(), ...patternRules];
+  if (!digest && actions.some((a) => a === "hash" || a.action === "hash"))
+    throw new Error("redaction with action hash requires a hash function");
+
+  const hash = (value) =>
+    digest(salt + (typeof value === "string" ? value : JSON.stringify(value)));
+
+  const replace = (value, how) => (how === "hash" ? hash(value) : mask);
+
+  const matchPath = (path) => {
+    for (const rule of pathRules) {
+      if (
+        rule.segments.length === path.length &&
+        rule.segments.every((seg, i) => seg === "*" || seg === path[i])
+      )
+        return rule.action;
+    }
+    return keyRules.get(path[path.length - 1].toLowerCase());
+  };
+
+  const redactString = (str) =>
+    patternRules.reduce(
+      (out, rule) =>
+        out.replace(rule.pattern, (match, prefix) => {
+          if (rule.test && !rule.test(match)) return match;
+          const lead = rule.keepPrefix ? prefix : "";
+          const secret = match.slice(lead.length);
+          return rule.action === "drop"
+            ? lead
+            : lead + replace(secret, rule.action);
+        }),
+      str
+    );
+
+  const walk = (value, path) => {
+    if (typeof value === "string") return redactString(value);
+    if (!value || typeof value !== "object") return value;
+    const out = Array.isArray(value) ? [] : {};
+    for (const key of Object.keys(value)) {
+      const childPath = [...path, key];
+      const how = matchPath(childPath);
+      if (how === "drop") continue;
+      const item = how ? replace(value[key], how) : walk(value[key], childPath);
+      if (Array.isArray(out)) out.push(item);
+      else out[key] = item;
+    }
+    return out;
+  };
+
+  return (entry) => {
+    const out = { ...entry };
+    for (const field of ["message", "meta"]) {
+      if (out[field] === undefined) continue;
+      const how = matchPath([field]);
+      if (how === "drop") delete out[field];
+      else if (how) out[field] = replace(out[field], how);
+      else out[field] = walk(out[field], [field]);
+    }
+    return out;
+  };
+}
+
+export function resolveRedactor(redact, hash) {
+  if (!redact) return null;
+  if (typeof redact === "function") return redact;
+  return createRedactor({ hash, ...(redact === true ? {} : redact) });
+}
@@ -0,0 +1,258 @@
+import { randomUUID } from "node:crypto";
+import {
+  accessFields,
+  clientIp,
+  countResponseBytes,
+  matchesIgnore,
+  resolveAccessFormat,
+  routePattern,
+} from "./accessLog.js";
+import { healthOf } from "./core.js";
+import { fingerprintError } from "./fingerprint.js";
+import { Log } from "./logger.js";
+import { resolveRedactor } from "./redact.js";
+import { nodeRuntime, sha256 } from "./runtime/node.js";
+import { resolveSampler } from "./sampling.js";
+import { assertLoggerOptions } from "./taxonomy.js";
+import {
+  formatTraceparent,
+  parseTraceparent,
+  parseTracestate,
+  startSpan,
+} from "./trace.js";
+
+// The framework-independent half of request logging. The Express middlewares
+// and the node:http, Koa and Fastify adapters all hand it the raw Node request
+// and response plus a `view` of what only the framework knows ({ url, route,
+// ip }), so every service produces the same entries.
+
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+
+function incomingRequestId(req, header) {
+  const value = req.headers[header];
+  return typeof value === "string" && REQUEST_ID_RE.test(value)
+    ? value
+    : undefined;
+}
+
+// Continues the caller's trace when the request carries a valid traceparent;
+// otherwise the request span starts a new one.
+function incomingTrace(req) {
+  const parent = parseTraceparent(req.headers.traceparent);
+  if (!parent) return {};
+  return {
+    traceId: parent.traceId,
+    spanId: parent.parentId,
+    traceFlags: parent.traceFlags,
+    tracestate: parseTracestate(req.headers.tracestate),
+  };
+}
+
+// Request logging never rejects: a failed delivery must not affect the
+// request being served. Without transports entries are posted to `endpoint`
+// through an HTTP transport, so a slow or failing collector is cut off by its
+// timeout and circuit breaker; `batch` and `spool` are passed on to it.
+function createEmitter({
+  endpoint,
+  timeout,
+  breaker,
+  batch,
+  spool,
+  transport,
+  transports,
+  redact,
+  sample,
+}) {
+  const targets =
+    transports ||
+    (transport
+      ? [transport]
+      : nodeRuntime.transports({
+          endpoint: endpoint || nodeRuntime.endpoint,
+          token: nodeRuntime.token,
+          timeout,
+          breaker,
+          batch,
+          spool,
+        }));
+  const options = {
+    transports: targets,
+    redact: resolveRedactor(redact, sha256),
+  };
+  const sampler = resolveSampler(sample, (info, message, meta) =>
+    Log(info.stack, info.level, info.package, message, {
+      ...options,
+      meta,
+    }).catch(() => {})
+  );
+  const emit = (stack, level, pkg, message, extra) =>
+    Log(stack, level, pkg, message, { ...options, sampler, ...extra }).catch(
+      () => {}
+    );
+  const each = (method) => {
+    if (sampler) sampler[method]();
+    return Promise.all(
+      targets.map((t) => (t[method] ? t[method]() : null))
+    ).then(() => {});
+  };
+  emit.transports = targets;
+  emit.health = () => healthOf(targets);
+  emit.flush = () => each("flush");
+  emit.close = () => each("close");
+  return emit;
+}
+
+export function createAccessLogger(
+  name,
+  {
+    stack = "backend",
+    package: pkg = "route",
+    endpoint,
+    timeout,
+    breaker,
+    batch,
+    spool,
+    level = "info",
+    clientErrorLevel = "warn",
+    serverErrorLevel = "error",
+    format = "short",
+    ignore = [],
+    trustProxy,
+    transport,
+    transports,
+    redact,
+    sample,
+    requestIdHeader = "x-request-id",
+    generateRequestId = randomUUID,
+  } = {}
+) {
+  assertLoggerOptions(name, {
+    stack,
+    package: pkg,
+    levels: [level, clientErrorLevel, serverErrorLevel],
+  });
+  const toMessage = resolveAccessFormat(format);
+  const levelFor = (status) =>
+    status >= 500 ? serverErrorLevel : status >= 400 ? clientErrorLevel : level;
+  const header = requestIdHeader.toLowerCase();
+  const emit = createEmitter({
+    endpoint,
+    timeout,
+    breaker,
+    batch,
+    spool,
+    transport,
+    transports,
+    redact,
+    sample,
+  });
+
+  // Assigns the request ID and server span, sets the response headers and
+  // logs the access entry once the response finishes. `describe()` is called
+  // again at that point, when the framework knows the matched route. Returns
+  // the context to run the rest of the request in.
+  function begin(req, res, describe = () => ({})) {
+    const start = process.hrtime.bigint();
+    const startTime = new Date().toISOString();
+    const requestId = incomingRequestId(req, header) || generateRequestId();
+    const span = startSpan(req.method, {
+      kind: "server",
+      parent: incomingTrace(req),
+    });
+    const trace = span.context();
+    res.setHeader(requestIdHeader, requestId);
+    res.setHeader("traceparent", formatTraceparent(trace));
+    if (trace.tracestate) res.setHeader("tracestate", trace.tracestate);
+    if (!matchesIgnore(ignore, req, describe().url)) {
+      const counter = countResponseBytes(res);
+      res.on("finish", () => {
+        const fields = accessFields(req, res, {
+          start,
+          startTime,
+          responseBytes: counter.bytes,
+          trustProxy,
+          view: describe(),
+        });
+        span.updateName(`${fields.method} ${fields.route || "unmatched"}`);
+        span.setAttribute("http.status", fields.status);
+        if (fields.status >= 500) span.recordError();
+        span.end();
+        emit(stack, levelFor(fields.status), pkg, toMessage(fields), {
+          requestId,
+          traceId: trace.traceId,
+          spanId: trace.spanId,
+          meta: fields,
+        });
+      });
+    }
+    return { requestId, ...trace };
+  }
+
+  return {
+    begin,
+    transports: emit.transports,
+    health: emit.health,
+    flush: emit.flush,
+    close: emit.close,
+  };
+}
+
+export function createErrorReporter(
+  name,
+  {
+    stack = "backend",
+    package: pkg = "handler",
+    endpoint,
+    timeout,
+    breaker,
+    batch,
+    spool,
+    level = "error",
+    trustProxy,
+    transport,
+    transports,
+    redact,
+    sample,
+  } = {}
+) {
+  assertLoggerOptions(name, { stack, package: pkg, levels: [level] });
+  const emit = createEmitter({
+    endpoint,
+    timeout,
+    breaker,
+    batch,
+    spool,
+    transport,
+    transports,
+    redact,
+    sample,
+  });
+
+  // Logs `err` with its chain, fingerprint and the request it interrupted.
+  function report(err, req, { requestId, ...view } = {}) {
+    const message = err && err.message ? err.message : "Unhandled error";
+    const status = err && (err.status || err.statusCode);
+    emit(stack, level, pkg, message, {
+      requestId,
+      meta: {
+        error: err,
+        fingerprint: fingerprintError(err),
+        status,
+        request: {
+          method: req.method,
+          url: view.url || req.originalUrl || req.url,
+          route: view.route || routePattern(req),
+          ip: clientIp(req, trustProxy, view.ip),
+          userAgent: req.headers["user-agent"],
+        },
+      },
+    });
+  }
+
+  return {
+    report,
+    health: emit.health,
+    flush: emit.flush,
+    close: emit.close,
+  };
+}
@@ -0,0 +1,42 @@
+import { DEFAULT_ENDPOINT } from "../core.js";
+import { createRedactor as createBaseRedactor } from "../redact.js";
+import { beaconTransport } from "../transports/beacon.js";
+
+// 53-bit string hash (cyrb53); SubtleCrypto is asynchronous and redaction runs
+// synchronously, so the browser build pseudonymizes with this instead of
+// SHA-256.
+export function cyrb53(value) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < value.length; i++) {
+    const ch = value.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+  h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+  h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  const hash = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+  return `cyrb53:${hash.toString(16).padStart(14, "0")}`;
+}
+
+export function createRedactor(options) {
+  return createBaseRedactor({ hash: cyrb53, ...options });
+}
+
+export const browserRuntime = {
+  endpoint: DEFAULT_ENDPOINT,
+  token: undefined,
+  transports: ({ endpoint, token, batch }) => [
+    beaconTransport({
+      endpoint,
+      token,
+      ...(typeof batch === "object" ? batch : {}),
+    }),
+  ],
+  describe: () =>
+    typeof location !== "undefined" ? { page: location.pathname } : {},
+  getContext: () => ({}),
+  hash: cyrb53,
+};
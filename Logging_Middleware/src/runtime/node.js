@@ -0,0 +1,26 @@
+import { createHash } from "node:crypto";
+import { hostname } from "node:os";
+import { getContext } from "../context.js";
+import { DEFAULT_ENDPOINT } from "../core.js";
+import { createRedactor as createBaseRedactor } from "../redact.js";
+import { httpTransport } from "../transports/http.js";
+
+const HOSTNAME = hostname();
+
+export function sha256(value) {
+  const digest = createHash("sha256").update(value).digest("hex");
+  return `sha256:${digest.slice(0, 16)}`;
+}
+
+export function createRedactor(options) {
+  return createBaseRedactor({ hash: sha256, ...options });
+}
+
+export const nodeRuntime = {
+  endpoint: process.env.LOG_ENDPOINT || DEFAULT_ENDPOINT,
+  token: process.env.LOG_TOKEN,
+  transports: (options) => [httpTransport(options)],
+  describe: () => ({ hostname: HOSTNAME, pid: process.pid }),
+  getContext,
+  hash: sha256,
+};
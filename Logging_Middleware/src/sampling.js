@@ -0,0 +1,150 @@
+const asList = (value) =>
+  value === undefined ? null : Array.isArray(value) ? value : [value];
+
+function matchesRule(rule, info) {
+  if (rule.levels && !rule.levels.includes(info.level)) return false;
+  if (rule.packages && !rule.packages.includes(info.package)) return false;
+  if (rule.message instanceof RegExp) return rule.message.test(info.message);
+  if (rule.message !== undefined) return rule.message === info.message;
+  return true;
+}
+
+// Decides per entry whether it is sent. Entries are first collapsed when the
+// same level, package and message repeat within `dedupe.window` ms, then
+// sampled by the first matching rule (levels in `keepLevels` are never
+// sampled), then limited by a token bucket per level and package. Collapsed
+// and rate-limited entries are reported through `emit(info, message, meta)`
+// once their window ends, so suppression is never silent.
+export function createSampler({
+  rate = 1,
+  rules = [],
+  keepLevels = ["error", "fatal"],
+  rateLimit,
+  dedupe,
+  maxKeys = 1000,
+  emit = () => {},
+  random = Math.random,
+} = {}) {
+  const compiled = rules.map((rule) => ({
+    levels: asList(rule.level),
+    packages: asList(rule.package),
+    message: rule.message,
+    rate: rule.rate,
+  }));
+  const window = dedupe ? (dedupe === true ? 10000 : dedupe.window) : 0;
+  const repeats = new Map();
+  const buckets = new Map();
+  let timer = null;
+
+  const remember = (map, key, value) => {
+    if (map.size >= maxKeys) map.delete(map.keys().next().value);
+    map.set(key, value);
+    return value;
+  };
+
+  const sweep = (force = false) => {
+    const now = Date.now();
+    for (const [key, seen] of repeats) {
+      if (!force && now - seen.firstSeen < window) continue;
+      repeats.delete(key);
+      if (seen.count)
+        emit(seen.info, `${seen.info.message} (repeated ${seen.count} times)`, {
+          repeated: seen.count,
+          firstSeen: new Date(seen.firstSeen).toISOString(),
+          lastSeen: new Date(seen.lastSeen).toISOString(),
+        });
+    }
+    for (const [key, bucket] of buckets) {
+      if (!bucket.suppressed) continue;
+      if (!force && now - bucket.since < rateLimit.interval) continue;
+      emit(
+        bucket.info,
+        `rate limit exceeded: ${bucket.suppressed} entries suppressed`,
+        { suppressed: bucket.suppressed }
+      );
+      bucket.suppressed = 0;
+      if (force) buckets.delete(key);
+    }
+    if (!repeats.size && ![...buckets.values()].some((b) => b.suppressed))
+      stop();
+  };
+
+  const start = () => {
+    if (timer) return;
+    const every = Math.min(window || Infinity, rateLimit?.interval || Infinity);
+    timer = setInterval(sweep, every);
+    if (timer.unref) timer.unref();
+  };
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  const collapse = (info) => {
+    const key = `${info.level}|${info.package}|${info.message}`;
+    const now = Date.now();
+    const seen = repeats.get(key);
+    if (!seen || now - seen.firstSeen >= window) {
+      if (seen) sweep();
+      remember(repeats, key, { info, firstSeen: now, lastSeen: now, count: 0 });
+      return true;
+    }
+    seen.count += 1;
+    seen.lastSeen = now;
+    start();
+    return false;
+  };
+
+  const sampled = (info) => {
+    if (keepLevels.includes(info.level)) return true;
+    const rule = compiled.find((r) => matchesRule(r, info));
+    const r = rule ? rule.rate : rate;
+    return r >= 1 || random() < r;
+  };
+
+  const withinLimit = (info) => {
+    const { limit, interval, burst = limit } = rateLimit;
+    const key = `${info.level}|${info.package}`;
+    const now = Date.now();
+    const bucket =
+      buckets.get(key) ||
+      remember(buckets, key, { tokens: burst, at: now, suppressed: 0 });
+    bucket.tokens = Math.min(
+      burst,
+      bucket.tokens + ((now - bucket.at) * limit) / interval
+    );
+    bucket.at = now;
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return true;
+    }
+    if (!bucket.suppressed) bucket.since = now;
+    bucket.suppressed += 1;
+    bucket.info = info;
+    start();
+    return false;
+  };
+
+  function check(info) {
+    if (window && !collapse(info)) return false;
+    if (!sampled(info)) return false;
+    if (rateLimit && !withinLimit(info)) return false;
+    return true;
+  }
+
+  return {
+    check,
+    flush: () => sweep(true),
+    close() {
+      sweep(true);
+      stop();
+    },
+  };
+}
+
+export function resolveSampler(sample, emit) {
+  if (!sample) return null;
+  if (typeof sample.check === "function") return sample;
+  return createSampler({ ...sample, emit });
+}
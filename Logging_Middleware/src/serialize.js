@@ -0,0 +1,90 @@
+export const DEFAULT_SERIALIZE_OPTIONS = {
+  maxDepth: 6,
+  maxStringLength: 2000,
+  maxArrayLength: 100,
+  maxBytes: 16 * 1024,
+};
+
+function serializeError(err, toSafe, depth) {
+  const out = { name: err.name, message: err.message, stack: err.stack };
+  for (const key of Object.keys(err)) out[key] = toSafe(err[key], depth + 1);
+  if (err.cause !== undefined) out.cause = toSafe(err.cause, depth + 1);
+  return out;
+}
+
+// Converts a value into plain JSON-safe data: Errors become objects with their
+// stack and cause, BigInts become strings, and circular references, deep
+// nesting and oversized strings or arrays are replaced with markers.
+export function toSerializable(value, options = {}) {
+  const { maxDepth, maxStringLength, maxArrayLength } = {
+    ...DEFAULT_SERIALIZE_OPTIONS,
+    ...options,
+  };
+  const seen = new WeakSet();
+
+  const toSafe = (val, depth) => {
+    switch (typeof val) {
+      case "bigint":
+        return val.toString();
+      case "string":
+        return val.length > maxStringLength
+          ? `${val.slice(0, maxStringLength)}... [${
+              val.length - maxStringLength
+            } more chars]`
+          : val;
+      case "function":
+        return `[Function ${val.name || "anonymous"}]`;
+      case "symbol":
+        return val.toString();
+      case "number":
+        return Number.isFinite(val) ? val : String(val);
+      case "object":
+        break;
+      default:
+        return val;
+    }
+    if (val === null) return null;
+    if (val instanceof Date)
+      return Number.isNaN(val.getTime()) ? "Invalid Date" : val.toISOString();
+    if (seen.has(val)) return "[Circular]";
+    if (depth >= maxDepth) return Array.isArray(val) ? "[Array]" : "[Object]";
+    seen.add(val);
+    let out;
+    if (val instanceof Error) {
+      out = serializeError(val, toSafe, depth);
+    } else if (typeof val.toJSON === "function") {
+      out = toSafe(val.toJSON(), depth);
+    } else if (Array.isArray(val)) {
+      out = val.slice(0, maxArrayLength).map((item) => toSafe(item, depth + 1));
+      if (val.length > maxArrayLength)
+        out.push(`[${val.length - maxArrayLength} more items]`);
+    } else if (val instanceof Map) {
+      out = toSafe(Object.fromEntries(val), depth);
+    } else if (val instanceof Set) {
+      out = toSafe([...val], depth);
+    } else {
+      out = {};
+      for (const key of Object.keys(val)) {
+        const item = toSafe(val[key], depth + 1);
+        if (item !== undefined) out[key] = item;
+      }
+    }
+    seen.delete(val);
+    return out;
+  };
+
+  return toSafe(value, 0);
+}
+
+// Replaces serialized `meta` whose JSON exceeds `maxBytes` with a marker
+// carrying the original size and a truncated preview.
+export function capMeta(safe, options = {}) {
+  const { maxBytes } = { ...DEFAULT_SERIALIZE_OPTIONS, ...options };
+  const json = JSON.stringify(safe);
+  if (json === undefined || json.length <= maxBytes) return safe;
+  return {
+    truncated: true,
+    bytes: json.length,
+    preview: json.slice(0, maxBytes),
+  };
+}
@@ -0,0 +1,239 @@
+import {
+  appendFileSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  renameSync,
+  rmSync,
+  statSync,
+  writeFileSync,
+} from "node:fs";
+import { join } from "node:path";
+
+const SEGMENT_RE = /^(\d{13})-(\d{6})\.ndjson$/;
+const CHECKPOINT = "checkpoint.json";
+
+// A line torn by a crash mid-append does not parse and is skipped.
+function parseLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch {
+    return null;
+  }
+}
+
+const segmentName = (time, seq) =>
+  `${String(time).padStart(13, "0")}-${String(seq).padStart(6, "0")}.ndjson`;
+
+// Undelivered entries are appended to NDJSON segment files in `dir` and
+// replayed oldest first through `send(entries, { key })`. The checkpoint is
+// replaced atomically after every delivered batch, so a crash can only repeat
+// the batch that was in flight, and that batch is resent with the same `key`
+// (its segment name and byte range) for the receiver to deduplicate. Segment
+// names start with their creation time, so keys are not reused once a drained
+// spool starts over.
+export function createSpool({
+  dir,
+  send,
+  maxBytes = 50 * 1024 * 1024,
+  segmentBytes = 1024 * 1024,
+  batchSize = 50,
+  replayInterval = 5000,
+  onDrop,
+} = {}) {
+  if (!dir) throw new Error("createSpool requires dir");
+  if (typeof send !== "function") throw new Error("createSpool requires send");
+  mkdirSync(dir, { recursive: true });
+
+  let active = null;
+  let pending = false;
+  let replaying = null;
+  let timer = null;
+
+  const path = (name) => join(dir, name);
+  const list = () =>
+    readdirSync(dir)
+      .filter((name) => SEGMENT_RE.test(name))
+      .sort();
+  const sizeOf = (name) => {
+    try {
+      return statSync(path(name)).size;
+    } catch {
+      return 0;
+    }
+  };
+
+  // A segment removed from under the spool reads as empty and is forgotten.
+  const readSegment = (name) => {
+    try {
+      return readFileSync(path(name));
+    } catch (err) {
+      if (err.code === "ENOENT") return Buffer.alloc(0);
+      throw err;
+    }
+  };
+
+  const readCheckpoint = () => {
+    try {
+      return JSON.parse(readFileSync(path(CHECKPOINT), "utf8"));
+    } catch {
+      return null;
+    }
+  };
+
+  // Segment sizes, the checkpoint and the pending byte count are read from
+  // disk once and then kept up to date in memory, so appending an entry never
+  // scans the directory.
+  const sizes = new Map(list().map((name) => [name, sizeOf(name)]));
+  let checkpoint = readCheckpoint();
+  if (checkpoint && !sizes.has(checkpoint.segment)) checkpoint = null;
+  let newest = [...sizes.keys()].pop();
+  let total = [...sizes.values()].reduce((sum, size) => sum + size, 0);
+  if (checkpoint) total -= checkpoint.offset;
+
+  const startOf = (name) =>
+    checkpoint && checkpoint.segment === name ? checkpoint.offset : 0;
+
+  const writeCheckpoint = (next) => {
+    const tmp = path(`${CHECKPOINT}.tmp`);
+    writeFileSync(tmp, JSON.stringify(next));
+    renameSync(tmp, path(CHECKPOINT));
+    total -= next.offset - startOf(next.segment);
+    checkpoint = next;
+  };
+
+  const removeSegment = (name) => {
+    if (!sizes.has(name)) return;
+    total -= sizes.get(name) - startOf(name);
+    sizes.delete(name);
+    rmSync(path(name), { force: true });
+    if (name === active) active = null;
+    if (checkpoint && checkpoint.segment === name) {
+      checkpoint = null;
+      rmSync(path(CHECKPOINT), { force: true });
+    }
+  };
+
+  const nextSegment = () => {
+    const [, lastTime = 0, lastSeq = -1] = newest
+      ? SEGMENT_RE.exec(newest)
+      : [];
+    const time = Math.max(Date.now(), Number(lastTime));
+    newest = segmentName(
+      time,
+      time === Number(lastTime) ? Number(lastSeq) + 1 : 0
+    );
+    mkdirSync(dir, { recursive: true });
+    sizes.set(newest, 0);
+    return newest;
+  };
+
+  const schedule = () => {
+    if (timer || !sizes.size) return;
+    timer = setTimeout(() => {
+      timer = null;
+      replay();
+    }, replayInterval);
+    if (timer.unref) timer.unref();
+  };
+
+  function append(entries) {
+    const data = entries.map((e) => `${JSON.stringify(e)}\n`).join("");
+    const bytes = Buffer.byteLength(data);
+    if (bytes > maxBytes) {
+      if (onDrop) onDrop(entries, "spool full");
+      return false;
+    }
+    while (total + bytes > maxBytes && sizes.size) {
+      const oldest = sizes.keys().next().value;
+      const lost = readSegment(oldest)
+        .toString("utf8", startOf(oldest))
+        .split("\n")
+        .filter(Boolean);
+      removeSegment(oldest);
+      if (onDrop) onDrop(lost.map(parseLine).filter(Boolean), "spool full");
+    }
+    if (!active || sizes.get(active) + bytes > segmentBytes)
+      active = nextSegment();
+    appendFileSync(path(active), data);
+    sizes.set(active, sizes.get(active) + bytes);
+    total += bytes;
+    pending = true;
+    schedule();
+    return true;
+  }
+
+  const replaySegment = async (name) => {
+    if (name === active) active = null;
+    const buf = readSegment(name);
+    let offset = startOf(name);
+    while (offset < buf.length) {
+      const entries = [];
+      let end = offset;
+      while (entries.length < batchSize) {
+        const newline = buf.indexOf(10, end);
+        if (newline === -1) break;
+        const entry = parseLine(buf.toString("utf8", end, newline));
+        end = newline + 1;
+        if (entry) entries.push(entry);
+      }
+      if (end === offset) break;
+      if (entries.length) {
+        const key = `${name}:${offset}-${end}`;
+        if (!(await send(entries, { key }))) return false;
+      }
+      // evicted by an append while the batch was in flight
+      if (!sizes.has(name)) return true;
+      offset = end;
+      writeCheckpoint({ segment: name, offset });
+    }
+    removeSegment(name);
+    return true;
+  };
+
+  const run = async () => {
+    const first = () => sizes.keys().next().value;
+    for (let name = first(); name; name = first()) {
+      if (!(await replaySegment(name))) {
+        schedule();
+        return false;
+      }
+    }
+    pending = false;
+    return true;
+  };
+
+  // Never rejects: a replay that fails to read the spool is retried after
+  // `replayInterval`, like one whose batch was not accepted.
+  function replay() {
+    if (!replaying)
+      replaying = run()
+        .catch(() => {
+          schedule();
+          return false;
+        })
+        .finally(() => (replaying = null));
+    return replaying;
+  }
+
+  function close() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    return replaying || Promise.resolve();
+  }
+
+  pending = sizes.size > 0;
+  schedule();
+
+  return {
+    append,
+    replay,
+    close,
+    get pending() {
+      return pending;
+    },
+    get bytes() {
+      return total;
+    },
+  };
+}
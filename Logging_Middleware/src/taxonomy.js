@@ -0,0 +1,131 @@
+import { LEVELS, LEVEL_VALUES } from "./levels.js";
+
+const DEFAULT_SHARED = [
+  "component",
+  "hook",
+  "page",
+  "state",
+  "style",
+  "auth",
+  "config",
+  "middleware",
+  "utils",
+];
+const DEFAULT_STACKS = {
+  backend: [
+    "cache",
+    "controller",
+    "cron_job",
+    "db",
+    "domain",
+    "handler",
+    "repository",
+    "route",
+    "service",
+  ],
+  frontend: ["api"],
+};
+
+let shared;
+let stacks;
+
+const normalize = (value) => String(value).toLowerCase();
+
+export function resetTaxonomy() {
+  shared = new Set(DEFAULT_SHARED);
+  stacks = new Map(
+    Object.entries(DEFAULT_STACKS).map(([stack, pkgs]) => [
+      stack,
+      new Set(pkgs),
+    ])
+  );
+}
+
+// Adds stacks and packages to the taxonomy, or with `mode: "replace"` starts
+// from an empty one. `shared` packages are valid under every stack; `stacks`
+// maps each stack to the packages only it may use.
+export function configureTaxonomy({
+  mode = "extend",
+  shared: sharedPackages = [],
+  stacks: stackPackages = {},
+} = {}) {
+  if (mode !== "extend" && mode !== "replace")
+    throw new Error(`invalid taxonomy mode: ${mode}`);
+  if (mode === "replace") {
+    shared = new Set();
+    stacks = new Map();
+  }
+  for (const pkg of sharedPackages) shared.add(normalize(pkg));
+  for (const [stack, pkgs] of Object.entries(stackPackages)) {
+    const key = normalize(stack);
+    const known = stacks.get(key) || new Set();
+    for (const pkg of pkgs) known.add(normalize(pkg));
+    stacks.set(key, known);
+  }
+}
+
+export function getTaxonomy() {
+  return {
+    shared: [...shared],
+    stacks: Object.fromEntries(
+      [...stacks].map(([stack, pkgs]) => [stack, [...pkgs]])
+    ),
+  };
+}
+
+export function isValidStack(stack) {
+  return stacks.has(stack);
+}
+
+export function isValidPackage(stack, pkg) {
+  if (!stacks.has(stack)) return false;
+  return shared.has(pkg) || stacks.get(stack).has(pkg);
+}
+
+// Checks a received payload against the stack/level/package taxonomy and
+// returns a list of problems, empty when the entry is valid.
+export function validateEntry(entry) {
+  if (!entry || typeof entry !== "object" || Array.isArray(entry))
+    return ["entry must be an object"];
+  const errors = [];
+  const { stack, level, package: pkg, message } = entry;
+  if (!isValidStack(stack)) errors.push(`invalid stack: ${stack}`);
+  if (!LEVEL_VALUES.has(level)) errors.push(`invalid level: ${level}`);
+  if (isValidStack(stack) && !isValidPackage(stack, pkg))
+    errors.push(`invalid package for ${stack}: ${pkg}`);
+  if (typeof message !== "string") errors.push("message must be a string");
+  return errors;
+}
+
+// Validates the options of a logger or middleware when it is created, so a
+// misconfiguration fails at startup instead of rejecting every entry later.
+export function assertLoggerOptions(name, options) {
+  const { stack, package: pkg, levels = [] } = options;
+  if (!stack || !pkg) throw new Error(`${name} requires stack and package`);
+  const s = normalize(stack);
+  const p = normalize(pkg);
+  if (!isValidStack(s)) {
+    const known = [...stacks.keys()].join(", ");
+    throw new Error(
+      `${name}: invalid stack "${stack}"; expected one of ${known}` +
+        " (add stacks with configureTaxonomy())"
+    );
+  }
+  if (!isValidPackage(s, p)) {
+    const known = [...shared, ...stacks.get(s)].join(", ");
+    throw new Error(
+      `${name}: invalid package "${pkg}" for stack "${s}"; expected one of ` +
+        `${known} (add packages with configureTaxonomy())`
+    );
+  }
+  for (const level of levels) {
+    if (level !== undefined && !LEVEL_VALUES.has(level))
+      throw new Error(
+        `${name}: invalid level "${level}"; expected one of ${LEVELS.join(
+          ", "
+        )}`
+      );
+  }
+}
+
+resetTaxonomy();
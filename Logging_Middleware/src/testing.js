@@ -0,0 +1,63 @@
+import { installSink } from "./core.js";
+
+const show = (value) =>
+  JSON.stringify(value, (key, v) => (v instanceof RegExp ? String(v) : v));
+
+const summary = (entry) =>
+  `${entry.level} ${entry.stack}/${entry.package} ${show(entry.message)}`;
+
+// An entry matches when every field of `matcher` does: strings, numbers and
+// booleans by equality, RegExps against strings, functions as predicates and
+// objects (such as `meta`) recursively, so only the keys given are compared.
+// A function matcher receives the whole entry.
+export function matchEntry(entry, matcher = {}) {
+  if (matcher instanceof RegExp)
+    return typeof entry === "string" && matcher.test(entry);
+  if (typeof matcher === "function") return Boolean(matcher(entry));
+  if (matcher && typeof matcher === "object") {
+    if (!entry || typeof entry !== "object") return false;
+    return Object.keys(matcher).every((key) =>
+      matchEntry(entry[key], matcher[key])
+    );
+  }
+  return Object.is(entry, matcher);
+}
+
+// Captures every entry passed to Log(), createLogger() loggers and the
+// middlewares instead of delivering it, until restore() puts the previous
+// delivery back. Entries are captured after level checks, sampling and
+// redaction, exactly as a transport would receive them.
+export function captureLogs() {
+  const entries = [];
+  const restore = installSink((entry) => entries.push(entry));
+  const filter = (matcher) =>
+    entries.filter((entry) => matchEntry(entry, matcher));
+  const report = (expectation, matcher) =>
+    new Error(
+      `Expected ${expectation} ${show(matcher)}; ${
+        entries.length
+          ? `captured:\n${entries.map((e) => `  ${summary(e)}`).join("\n")}`
+          : "no entries were captured"
+      }`
+    );
+
+  return {
+    entries,
+    filter,
+    find: (matcher) => entries.find((entry) => matchEntry(entry, matcher)),
+    clear() {
+      entries.length = 0;
+    },
+    // Throws unless an entry matches; returns the first match.
+    assertLogged(matcher) {
+      const [match] = filter(matcher);
+      if (!match) throw report("a log entry matching", matcher);
+      return match;
+    },
+    assertNotLogged(matcher) {
+      if (filter(matcher).length)
+        throw report("no log entry matching", matcher);
+    },
+    restore,
+  };
+}
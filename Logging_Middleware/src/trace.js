@@ -0,0 +1,169 @@
+import { randomBytes } from "node:crypto";
+import { getContext, runWithContext } from "./context.js";
+import { Log } from "./logger.js";
+import { assertLoggerOptions } from "./taxonomy.js";
+
+const TRACEPARENT_RE =
+  /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const MAX_TRACESTATE = 512;
+
+let exporter = null;
+
+export const newTraceId = () => randomBytes(16).toString("hex");
+export const newSpanId = () => randomBytes(8).toString("hex");
+
+const join = (value) => (Array.isArray(value) ? value.join(",") : value);
+
+// Parses a W3C `traceparent` header. Returns null for anything the spec says
+// to ignore: unknown layouts, version ff, uppercase hex and all-zero IDs.
+export function parseTraceparent(value) {
+  const header = join(value);
+  if (typeof header !== "string") return null;
+  const match = TRACEPARENT_RE.exec(header.trim());
+  if (!match) return null;
+  const [, version, traceId, parentId, traceFlags, rest] = match;
+  if (version === "ff" || (version === "00" && rest)) return null;
+  if (/^0+$/.test(traceId) || /^0+$/.test(parentId)) return null;
+  return { traceId, parentId, traceFlags };
+}
+
+export function parseTracestate(value) {
+  const header = join(value);
+  if (typeof header !== "string") return undefined;
+  const state = header
+    .split(",")
+    .map((member) => member.trim())
+    .filter(Boolean)
+    .join(",");
+  return state && state.length <= MAX_TRACESTATE ? state : undefined;
+}
+
+export const formatTraceparent = ({ traceId, spanId, traceFlags = "01" }) =>
+  `00-${traceId}-${spanId}-${traceFlags}`;
+
+// Headers that continue the current trace on an outgoing request.
+export function traceHeaders(context = getContext()) {
+  if (!context.traceId || !context.spanId) return {};
+  const headers = { traceparent: formatTraceparent(context) };
+  if (context.tracestate) headers.tracestate = context.tracestate;
+  return headers;
+}
+
+// Sends finished spans as log entries, with the span in `meta.span`, through
+// the given transports (or the default endpoint). Without it spans still
+// propagate IDs but are not exported.
+export function configureTracing({
+  stack = "backend",
+  package: pkg = "service",
+  level = "debug",
+  endpoint,
+  transport,
+  transports,
+} = {}) {
+  assertLoggerOptions("configureTracing", {
+    stack,
+    package: pkg,
+    levels: [level],
+  });
+  exporter = { stack, pkg, level, endpoint, transport, transports };
+}
+
+export function resetTracing() {
+  exporter = null;
+}
+
+const sampled = (traceFlags) => (parseInt(traceFlags, 16) & 1) === 1;
+
+function exportSpan(span, pkg) {
+  if (!exporter || !sampled(span.traceFlags)) return;
+  const { stack, level, endpoint, transport, transports } = exporter;
+  Log(
+    stack,
+    level,
+    pkg || exporter.pkg,
+    `span ${span.name} (${span.duration}ms)`,
+    {
+      endpoint,
+      transport,
+      transports,
+      traceId: span.traceId,
+      spanId: span.spanId,
+      meta: { span },
+      suppressErrors: true,
+    }
+  ).catch(() => {});
+}
+
+// Starts a span that is a child of `parent` (by default the current context)
+// or the root of a new trace. `end()` records its duration and exports it.
+export function startSpan(
+  name,
+  {
+    attributes = {},
+    kind = "internal",
+    parent = getContext(),
+    package: pkg,
+  } = {}
+) {
+  const traceId = parent.traceId || newTraceId();
+  const data = {
+    name,
+    kind,
+    traceId,
+    spanId: newSpanId(),
+    parentSpanId: parent.traceId ? parent.spanId : undefined,
+    traceFlags: parent.traceFlags || "01",
+    tracestate: parent.tracestate,
+    startTime: new Date().toISOString(),
+    attributes: { ...attributes },
+    status: "ok",
+  };
+  const start = process.hrtime.bigint();
+  let ended = false;
+  return {
+    traceId: data.traceId,
+    spanId: data.spanId,
+    context: () => ({
+      traceId: data.traceId,
+      spanId: data.spanId,
+      traceFlags: data.traceFlags,
+      tracestate: data.tracestate,
+    }),
+    updateName(next) {
+      data.name = next;
+    },
+    setAttribute(key, value) {
+      data.attributes[key] = value;
+    },
+    recordError(err) {
+      data.status = "error";
+      if (err !== undefined) data.error = err;
+    },
+    end() {
+      if (ended) return data;
+      ended = true;
+      const duration = Number(process.hrtime.bigint() - start) / 1e6;
+      data.duration = Math.round(duration * 1000) / 1000;
+      data.endTime = new Date().toISOString();
+      exportSpan(data, pkg);
+      return data;
+    },
+  };
+}
+
+// Runs `fn(span)` inside a new child span, so logs written meanwhile carry its
+// IDs. The span ends when the returned promise settles; a thrown error marks
+// it as failed and is rethrown.
+export function withSpan(name, fn, options) {
+  const span = startSpan(name, options);
+  return runWithContext(span.context(), async () => {
+    try {
+      return await fn(span);
+    } catch (err) {
+      span.recordError(err);
+      throw err;
+    } finally {
+      span.end();
+    }
+  });
+}
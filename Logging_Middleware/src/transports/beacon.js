@@ -0,0 +1,150 @@
+import { isRetryable } from "../http.js";
+import { resolveFormat } from "../formats.js";
+
+const hasWindow = () => typeof window !== "undefined";
+const isOnline = () =>
+  typeof navigator === "undefined" || navigator.onLine !== false;
+
+// Browser transport: entries are batched and sent with `fetch` keepalive
+// while the page is open. When the page is hidden or unloaded the queue is
+// handed to `navigator.sendBeacon`, and whatever cannot be delivered (offline,
+// collector down, beacon refused) is kept in `storage` and resent on the next
+// page load or when the browser comes back online. Beacons cannot carry an
+// Authorization header and are sent as text/plain to avoid a CORS preflight.
+export function beaconTransport({
+  endpoint,
+  token,
+  level,
+  format,
+  maxBatchSize = 20,
+  flushInterval = 2000,
+  maxQueueSize = 500,
+  storageKey = "logging-middleware:queue",
+  storage = typeof localStorage !== "undefined" ? localStorage : null,
+} = {}) {
+  if (!endpoint) throw new Error("beaconTransport requires endpoint");
+  const fmt = resolveFormat(format, "raw");
+  let queue = [];
+  let sending = [];
+  let timer = null;
+  let pending = Promise.resolve();
+
+  const persist = () => {
+    if (!storage) return;
+    const unsent = [...sending, ...queue];
+    try {
+      if (unsent.length) storage.setItem(storageKey, JSON.stringify(unsent));
+      else storage.removeItem(storageKey);
+    } catch {
+      // storage full or disabled; entries stay in memory
+    }
+  };
+
+  const restore = () => {
+    if (!storage) return;
+    try {
+      queue = JSON.parse(storage.getItem(storageKey) || "[]");
+      storage.removeItem(storageKey);
+    } catch {
+      queue = [];
+    }
+  };
+
+  const post = async (batch) => {
+    try {
+      const res = await fetch(endpoint, {
+        method: "POST",
+        keepalive: true,
+        headers: {
+          "Content-Type": "application/json",
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        body: JSON.stringify(batch),
+      });
+      return res.ok || !isRetryable(res.status);
+    } catch {
+      return false;
+    }
+  };
+
+  const drain = async () => {
+    while (queue.length && isOnline()) {
+      sending = queue.splice(0, maxBatchSize);
+      const delivered = await post(sending);
+      if (!delivered) queue.unshift(...sending);
+      sending = [];
+      if (!delivered) break;
+    }
+    persist();
+  };
+
+  function flush() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    pending = pending.then(drain);
+    return pending;
+  }
+
+  const beacon = () => {
+    if (
+      !queue.length ||
+      !isOnline() ||
+      typeof navigator === "undefined" ||
+      typeof navigator.sendBeacon !== "function"
+    )
+      return persist();
+    const refused = [];
+    while (queue.length) {
+      const batch = queue.splice(0, maxBatchSize);
+      const blob = new Blob([JSON.stringify(batch)], {
+        type: "text/plain;charset=UTF-8",
+      });
+      if (!navigator.sendBeacon(endpoint, blob)) refused.push(...batch);
+    }
+    queue = refused;
+    persist();
+  };
+
+  const onVisibilityChange = () => {
+    if (document.visibilityState === "hidden") beacon();
+  };
+
+  restore();
+  if (hasWindow()) {
+    window.addEventListener("online", flush);
+    window.addEventListener("pagehide", beacon);
+    document.addEventListener("visibilitychange", onVisibilityChange);
+  }
+  if (queue.length) flush();
+
+  return {
+    name: "beacon",
+    level,
+    log(entry) {
+      queue.push(fmt(entry));
+      if (queue.length > maxQueueSize)
+        queue.splice(0, queue.length - maxQueueSize);
+      if (queue.length >= maxBatchSize) flush();
+      else if (!timer)
+        timer = setTimeout(() => {
+          timer = null;
+          flush();
+        }, flushInterval);
+      return true;
+    },
+    flush,
+    close() {
+      if (hasWindow()) {
+        window.removeEventListener("online", flush);
+        window.removeEventListener("pagehide", beacon);
+        document.removeEventListener("visibilitychange", onVisibilityChange);
+      }
+      return flush();
+    },
+    get size() {
+      return queue.length;
+    },
+  };
+}
@@ -0,0 +1,20 @@
+import { resolveFormat } from "../formats.js";
+
+const METHODS = {
+  debug: "debug",
+  info: "info",
+  warn: "warn",
+  error: "error",
+  fatal: "error",
+};
+
+export function consoleTransport({ level, format, target = console } = {}) {
+  const fmt = resolveFormat(format, "pretty");
+  return {
+    name: "console",
+    level,
+    log(entry) {
+      target[METHODS[entry.level] || "log"](fmt(entry));
+    },
+  };
+}
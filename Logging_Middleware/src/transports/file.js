@@ -0,0 +1,162 @@
+import {
+  createReadStream,
+  createWriteStream,
+  fstatSync,
+  mkdirSync,
+  openSync,
+  readdirSync,
+  renameSync,
+  statSync,
+} from "node:fs";
+import { rm, stat } from "node:fs/promises";
+import { basename, dirname, extname, join } from "node:path";
+import { pipeline } from "node:stream/promises";
+import { createGzip } from "node:zlib";
+import { resolveFormat } from "../formats.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const day = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Appends NDJSON through a write stream. With `maxSize` (bytes) or `daily`
+// the file is renamed to `<name>.<YYYY-MM-DD>.<NNN><ext>` when it would grow
+// past `maxSize` or the UTC date changes, then gzipped unless `compress` is
+// false. Rotated files beyond the newest `maxFiles` or older than `maxDays`
+// are deleted. Every `checkInterval` ms the transport checks whether the file
+// was moved or deleted by another tool and, if so, reopens `path`.
+export function fileTransport({
+  path,
+  level,
+  format,
+  maxSize,
+  daily = false,
+  compress = true,
+  maxFiles,
+  maxDays,
+  checkInterval = 1000,
+} = {}) {
+  if (!path) throw new Error("fileTransport requires path");
+  const fmt = resolveFormat(format, "json");
+  const dir = dirname(path);
+  const ext = extname(path);
+  const stem = basename(path, ext);
+  const rotates = Boolean(maxSize || daily);
+  mkdirSync(dir, { recursive: true });
+
+  const dated = `^${escape(stem)}\\.(\\d{4}-\\d{2}-\\d{2})\\.(\\d{3})`;
+  const rotatedName = new RegExp(`${dated}${escape(ext)}(\\.gz)?$`);
+  const rotatedFiles = () =>
+    readdirSync(dir)
+      .filter((name) => rotatedName.test(name))
+      .sort()
+      .reverse();
+  const background = new Set();
+  let stream;
+  let file;
+  let lastCheck = Date.now();
+
+  function open() {
+    const fd = openSync(path, "a");
+    const info = fstatSync(fd);
+    stream = createWriteStream(path, { fd });
+    stream.on("error", () => {});
+    file = {
+      ino: info.ino,
+      size: info.size,
+      day: day(info.size ? info.mtimeMs : Date.now()),
+    };
+  }
+
+  const track = (promise) => {
+    background.add(promise);
+    promise.catch(() => {}).finally(() => background.delete(promise));
+  };
+
+  async function prune() {
+    const names = rotatedFiles();
+    const old = maxFiles === undefined ? [] : names.slice(maxFiles);
+    if (maxDays !== undefined) {
+      for (const name of names.slice(0, maxFiles)) {
+        const { mtimeMs } = await stat(join(dir, name)).catch(() => ({
+          mtimeMs: Date.now(),
+        }));
+        if (Date.now() - mtimeMs > maxDays * DAY) old.push(name);
+      }
+    }
+    await Promise.all(old.map((name) => rm(join(dir, name), { force: true })));
+  }
+
+  async function finish(previous, rotated) {
+    await new Promise((resolve) => previous.end(resolve));
+    if (compress) {
+      await pipeline(
+        createReadStream(rotated),
+        createGzip(),
+        createWriteStream(`${rotated}.gz`)
+      );
+      await rm(rotated, { force: true });
+    }
+    await prune();
+  }
+
+  function rotate() {
+    const last = rotatedFiles()
+      .map((name) => rotatedName.exec(name))
+      .find((match) => match[1] === file.day);
+    const seq = String(last ? Number(last[2]) + 1 : 0).padStart(3, "0");
+    const rotated = join(dir, `${stem}.${file.day}.${seq}${ext}`);
+    renameSync(path, rotated);
+    const previous = stream;
+    open();
+    track(finish(previous, rotated));
+  }
+
+  // The file is gone or replaced when `path` no longer names the inode the
+  // stream writes to; the old stream is closed and `path` opened again.
+  function reopenIfMoved() {
+    lastCheck = Date.now();
+    let current;
+    try {
+      current = statSync(path).ino;
+    } catch {
+      current = null;
+    }
+    if (current === file.ino) return;
+    const previous = stream;
+    open();
+    previous.end();
+  }
+
+  open();
+
+  return {
+    name: "file",
+    level,
+    log(entry) {
+      const line = `${fmt(entry)}\n`;
+      const bytes = Buffer.byteLength(line);
+      if (Date.now() - lastCheck >= checkInterval) reopenIfMoved();
+      if (file.size === 0) file.day = day(Date.now());
+      if (
+        rotates &&
+        file.size > 0 &&
+        ((maxSize && file.size + bytes > maxSize) ||
+          (daily && day(Date.now()) !== file.day))
+      )
+        rotate();
+      file.size += bytes;
+      stream.write(line);
+    },
+    flush() {
+      if (!stream.writableNeedDrain) return Promise.resolve();
+      return new Promise((resolve) => stream.once("drain", resolve));
+    },
+    close() {
+      return new Promise((resolve) => stream.end(resolve)).then(() =>
+        Promise.allSettled([...background])
+      );
+    },
+  };
+}
@@ -0,0 +1,76 @@
+import { createBatchTransport } from "../batch.js";
+import { createSender } from "../delivery.js";
+import { createSpool } from "../spool.js";
+import { resolveFormat } from "../formats.js";
+
+export function httpTransport({
+  endpoint,
+  token,
+  level,
+  format,
+  timeout,
+  breaker,
+  batch,
+  spool: spoolOptions,
+} = {}) {
+  if (!endpoint) throw new Error("httpTransport requires endpoint");
+  const fmt = resolveFormat(format, "raw");
+  if (batch) {
+    const transport = createBatchTransport({
+      endpoint,
+      token,
+      timeout,
+      breaker,
+      format: fmt,
+      spool: spoolOptions,
+      ...(typeof batch === "object" ? batch : {}),
+    });
+    return Object.assign(transport, { name: "http", level });
+  }
+  const sender = createSender({ endpoint, token, timeout, breaker });
+  const spool = spoolOptions
+    ? createSpool({
+        ...spoolOptions,
+        onDrop(entries, reason) {
+          sender.drop(entries.length);
+          if (spoolOptions.onDrop) spoolOptions.onDrop(entries, reason);
+        },
+        batchSize: 1,
+        send: ([body], { key }) =>
+          sender
+            .send(body, 1, { "Idempotency-Key": key })
+            .then((res) => res.ok),
+      })
+    : null;
+  const spooled = (body) => {
+    spool.append([body]);
+    return { ok: false, spooled: true };
+  };
+  return {
+    name: "http",
+    level,
+    async log(entry) {
+      const body = fmt(entry);
+      if (spool && spool.pending) {
+        const result = spooled(body);
+        spool.replay();
+        return result;
+      }
+      const res = await sender.send(body, 1);
+      if (res.ok) return res;
+      if (spool && res.retryable) return spooled(body);
+      sender.drop(1);
+      throw new Error(res.error);
+    },
+    flush() {
+      return spool ? spool.replay().then(() => {}) : Promise.resolve();
+    },
+    close() {
+      return spool ? spool.close() : Promise.resolve();
+    },
+    health: () => ({
+      ...sender.health(),
+      spoolBytes: spool ? spool.bytes : 0,
+    }),
+  };
+}
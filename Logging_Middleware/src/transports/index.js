@@ -0,0 +1,12 @@
+// A transport is any object with a `log(entry)` method. The logger passes it
+// every entry at or above the transport's optional `level`; `log` may return a
+// promise, and a rejection is reported to the caller unless `suppressErrors`
+// is set. Transports that buffer output may also implement `flush()` and
+// `close()`, both returning promises, which the logger awaits from its own
+// `flush()` and `close()`.
+export { consoleTransport } from "./console.js";
+export { fileTransport } from "./file.js";
+export { httpTransport } from "./http.js";
+export { memoryTransport } from "./memory.js";
+export { otlpTransport } from "./otlp.js";
+export { syslogTransport } from "./syslog.js";
@@ -0,0 +1,18 @@
+import { resolveFormat } from "../formats.js";
+
+export function memoryTransport({ level, format, limit = 1000 } = {}) {
+  const fmt = resolveFormat(format, "raw");
+  const entries = [];
+  return {
+    name: "memory",
+    level,
+    entries,
+    log(entry) {
+      entries.push(fmt(entry));
+      if (entries.length > limit) entries.splice(0, entries.length - limit);
+    },
+    clear() {
+      entries.length = 0;
+    },
+  };
+}
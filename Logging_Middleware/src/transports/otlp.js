@@ -0,0 +1,105 @@
+import { createBatchTransport } from "../batch.js";
+
+export const SEVERITY_NUMBERS = {
+  debug: 5,
+  info: 9,
+  warn: 13,
+  error: 17,
+  fatal: 21,
+};
+
+const SCOPE = { name: "logging-middleware" };
+
+// Converts a JSON value to an OTLP AnyValue; objects become key/value lists
+// and arrays array values, so nested `meta` keeps its shape.
+export function toAnyValue(value) {
+  if (value === null || value === undefined) return {};
+  switch (typeof value) {
+    case "string":
+      return { stringValue: value };
+    case "boolean":
+      return { boolValue: value };
+    case "number":
+      return Number.isInteger(value)
+        ? { intValue: String(value) }
+        : { doubleValue: value };
+    default:
+      break;
+  }
+  if (Array.isArray(value))
+    return { arrayValue: { values: value.map(toAnyValue) } };
+  return { kvlistValue: { values: toAttributes(value) } };
+}
+
+function toAttributes(object) {
+  return Object.entries(object)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+const toNanos = (time) =>
+  `${BigInt(Date.parse(time) || Date.now()) * 1000000n}`;
+
+function toLogRecord(entry) {
+  const attributes = { package: entry.package };
+  if (entry.requestId) attributes["request.id"] = entry.requestId;
+  if (entry.meta && typeof entry.meta === "object")
+    Object.assign(attributes, entry.meta);
+  else if (entry.meta !== undefined) attributes.meta = entry.meta;
+  const record = {
+    timeUnixNano: toNanos(entry.timestamp),
+    observedTimeUnixNano: toNanos(),
+    severityNumber: SEVERITY_NUMBERS[entry.level],
+    severityText: entry.level.toUpperCase(),
+    body: toAnyValue(entry.message),
+    attributes: toAttributes(attributes),
+  };
+  if (entry.traceId) record.traceId = entry.traceId;
+  if (entry.spanId) record.spanId = entry.spanId;
+  return record;
+}
+
+// Groups a batch into one ResourceLogs per stack and process. `service.name`
+// is `serviceName` when given and the entry's stack otherwise.
+export function toOtlpLogs(batch, { serviceName, resource = {} } = {}) {
+  const groups = new Map();
+  for (const entry of batch) {
+    const attributes = {
+      "service.name": serviceName || entry.stack,
+      stack: entry.stack,
+      "host.name": entry.hostname,
+      "process.pid": entry.pid,
+      ...resource,
+    };
+    const key = JSON.stringify(attributes);
+    if (!groups.has(key)) groups.set(key, { attributes, records: [] });
+    groups.get(key).records.push(toLogRecord(entry));
+  }
+  return {
+    resourceLogs: [...groups.values()].map(({ attributes, records }) => ({
+      resource: { attributes: toAttributes(attributes) },
+      scopeLogs: [{ scope: SCOPE, logRecords: records }],
+    })),
+  };
+}
+
+// Batches entries and posts them to an OTLP/HTTP logs endpoint as JSON, with
+// the batch transport's retries, drop policy and optional spool.
+export function otlpTransport({
+  endpoint = "http://localhost:4318/v1/logs",
+  headers,
+  level,
+  serviceName,
+  resource,
+  batch,
+  spool,
+} = {}) {
+  const transport = createBatchTransport({
+    ...batch,
+    endpoint,
+    headers,
+    spool,
+    encode: (entries) => toOtlpLogs(entries, { serviceName, resource }),
+  });
+  return Object.assign(transport, { name: "otlp", level });
+}
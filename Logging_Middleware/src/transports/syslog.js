@@ -0,0 +1,374 @@
+import dgram from "node:dgram";
+import { createRequire } from "node:module";
+import net from "node:net";
+import { hostname } from "node:os";
+import { getSystemErrorName } from "node:util";
+
+export const FACILITIES = {
+  kern: 0,
+  user: 1,
+  mail: 2,
+  daemon: 3,
+  auth: 4,
+  syslog: 5,
+  lpr: 6,
+  news: 7,
+  uucp: 8,
+  cron: 9,
+  authpriv: 10,
+  ftp: 11,
+  local0: 16,
+  local1: 17,
+  local2: 18,
+  local3: 19,
+  local4: 20,
+  local5: 21,
+  local6: 22,
+  local7: 23,
+};
+
+const SEVERITIES = { debug: 7, info: 6, warn: 4, error: 3, fatal: 2 };
+const PROTOCOLS = new Set(["udp", "tcp", "unix"]);
+
+// RFC 5424 header fields are printable US-ASCII without spaces, "-" when
+// empty; SD-NAMEs additionally exclude "=", "]" and '"'.
+const field = (value, max) => {
+  const clean = String(value ?? "").replace(/[^\x21-\x7e]/g, "");
+  return clean ? clean.slice(0, max) : "-";
+};
+const sdName = (value) =>
+  String(value)
+    .replace(/[^\x21-\x7e]|[=\]"]/g, "_")
+    .slice(0, 32);
+const sdValue = (value) =>
+  String(typeof value === "object" ? JSON.stringify(value) : value).replace(
+    /["\\\]]/g,
+    "\\$&"
+  );
+
+function flatten(object, prefix = "", out = {}) {
+  for (const [key, value] of Object.entries(object)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === "object" && !Array.isArray(value))
+      flatten(value, name, out);
+    else if (value !== undefined) out[name] = value;
+  }
+  return out;
+}
+
+function element(id, params) {
+  const pairs = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${sdName(key)}="${sdValue(value)}"`);
+  return pairs.length ? `[${id} ${pairs.join(" ")}]` : "";
+}
+
+// Formats an entry as an RFC 5424 message. Request and trace IDs go into the
+// `ctx@<enterpriseId>` SD-ELEMENT and `meta`, flattened to dotted names, into
+// `meta@<enterpriseId>`.
+export function formatSyslog(
+  entry,
+  { facility = 1, appName, host = hostname(), enterpriseId = 32473 } = {}
+) {
+  const pri = facility * 8 + (SEVERITIES[entry.level] ?? 6);
+  const meta =
+    entry.meta && typeof entry.meta === "object"
+      ? flatten(entry.meta)
+      : entry.meta === undefined
+      ? {}
+      : { value: entry.meta };
+  const data =
+    element(`ctx@${enterpriseId}`, {
+      requestId: entry.requestId,
+      traceId: entry.traceId,
+      spanId: entry.spanId,
+    }) + element(`meta@${enterpriseId}`, meta);
+  return [
+    `<${pri}>1`,
+    field(entry.timestamp || new Date().toISOString(), 64),
+    field(entry.hostname || host, 255),
+    field(appName || entry.stack, 48),
+    field(entry.pid ?? process.pid, 128),
+    field(entry.package, 32),
+    data || "-",
+    entry.message,
+  ].join(" ");
+}
+
+function resolveFacility(facility) {
+  const value = typeof facility === "number" ? facility : FACILITIES[facility];
+  if (!Number.isInteger(value) || value < 0 || value > 23)
+    throw new Error(`invalid syslog facility: ${facility}`);
+  return value;
+}
+
+// Errors that reconnecting cannot fix. EPROTOTYPE means `path` is a datagram
+// socket, such as /dev/log under rsyslog or journald on Linux.
+const FATAL_ERRORS = new Set(["EPROTOTYPE"]);
+
+// Keeps a TCP or Unix stream socket open, reconnecting with exponential
+// backoff and queueing messages (up to `maxQueueSize`) while disconnected.
+// After a fatal error the queue is dropped, `onFail` is called and every
+// later send throws.
+function createStream({
+  connect,
+  reconnectDelay,
+  maxReconnectDelay,
+  maxQueueSize,
+  onDrop,
+  onFail,
+}) {
+  const queue = [];
+  const idle = [];
+  let socket = null;
+  let connected = false;
+  let closed = false;
+  let failed = null;
+  let attempt = 0;
+  let timer = null;
+  let writing = 0;
+
+  const release = () => {
+    while (idle.length) idle.shift()();
+  };
+  const settle = () => {
+    if (!queue.length && !writing) release();
+  };
+
+  const write = () => {
+    while (connected && queue.length) {
+      const data = queue.shift();
+      writing += 1;
+      socket.write(data, () => {
+        writing -= 1;
+        settle();
+      });
+    }
+    settle();
+  };
+
+  const reconnect = () => {
+    if (closed || timer) return;
+    const delay = Math.min(maxReconnectDelay, reconnectDelay * 2 ** attempt);
+    attempt += 1;
+    timer = setTimeout(() => {
+      timer = null;
+      open();
+    }, delay);
+    if (timer.unref) timer.unref();
+  };
+
+  function open() {
+    if (closed || socket) return;
+    socket = connect();
+    socket.unref();
+    socket.on("connect", () => {
+      connected = true;
+      attempt = 0;
+      write();
+    });
+    socket.on("error", (err) => {
+      if (!FATAL_ERRORS.has(err.code)) return;
+      failed = err;
+      closed = true;
+      if (queue.length) onDrop(queue.splice(0), err.message);
+      onFail(err);
+    });
+    // A lost connection or failed attempt releases flush(): what is still
+    // queued waits for the next reconnect.
+    socket.on("close", () => {
+      socket = null;
+      connected = false;
+      writing = 0;
+      release();
+      reconnect();
+    });
+  }
+
+  return {
+    send(data) {
+      if (failed) throw failed;
+      if (closed) return false;
+      if (queue.length >= maxQueueSize) onDrop(queue.splice(0, 1));
+      queue.push(data);
+      open();
+      write();
+      return true;
+    },
+    flush() {
+      return new Promise((resolve) => {
+        idle.push(resolve);
+        if (socket) settle();
+        else release();
+      });
+    },
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      return new Promise((resolve) => {
+        if (!socket) return resolve();
+        socket.once("close", resolve);
+        socket.end();
+      });
+    },
+  };
+}
+
+const require = createRequire(import.meta.url);
+
+function loadUnixDgram(path) {
+  try {
+    return require("unix-dgram");
+  } catch (err) {
+    throw new Error(
+      `${path} is a datagram socket; install unix-dgram to write to it`,
+      { cause: err }
+    );
+  }
+}
+
+// Sends each message as one datagram to `path`. unix-dgram sockets keep the
+// process alive, so one is opened per tick of sends and closed after it.
+function createDatagram(path, unix) {
+  let socket = null;
+  const release = () => {
+    if (socket) socket.close();
+    socket = null;
+  };
+  return {
+    send(data) {
+      if (!socket) {
+        socket = unix.createSocket("unix_dgram");
+        socket.on("error", () => {});
+        setImmediate(release);
+      }
+      return new Promise((resolve, reject) =>
+        socket.send(data, 0, data.length, path, (err) => {
+          if (!err) return resolve();
+          // errno values are negative; 1 means the socket buffer is full
+          const code = err.code < 0 ? getSystemErrorName(err.code) : "EAGAIN";
+          reject(Object.assign(new Error(`send ${code} ${path}`), { code }));
+        })
+      );
+    },
+    flush: () => Promise.resolve(),
+    close: () => Promise.resolve(release()),
+  };
+}
+
+// Resolves to "dgram" when `path` is a datagram socket and to "stream"
+// otherwise, including when nothing listens yet: the stream then reconnects
+// until the daemon is up.
+function probeUnix(path) {
+  return new Promise((resolve) => {
+    const socket = net.connect({ path });
+    socket.on("connect", () => {
+      socket.destroy();
+      resolve("stream");
+    });
+    socket.on("error", (err) =>
+      resolve(err.code === "EPROTOTYPE" ? "dgram" : "stream")
+    );
+  });
+}
+
+// Sends entries to a syslog daemon as RFC 5424 messages over UDP, TCP with
+// octet-counted framing (RFC 6587) or a Unix socket: newline framing on a
+// stream socket, one datagram per message on a datagram socket such as
+// /dev/log. Stream connections are reopened automatically.
+export function syslogTransport({
+  protocol = "udp",
+  host = "127.0.0.1",
+  port = 514,
+  path = "/dev/log",
+  facility = "user",
+  appName,
+  enterpriseId,
+  level,
+  maxLength = 8192,
+  reconnectDelay = 500,
+  maxReconnectDelay = 30000,
+  maxQueueSize = 1000,
+  onDrop = () => {},
+} = {}) {
+  if (!PROTOCOLS.has(protocol))
+    throw new Error(`invalid syslog protocol: ${protocol}`);
+  const options = {
+    facility: resolveFacility(facility),
+    appName,
+    enterpriseId,
+  };
+  const clip = (text) => {
+    const message = Buffer.from(text);
+    return message.length > maxLength
+      ? message.subarray(0, maxLength)
+      : message;
+  };
+
+  if (protocol === "udp") {
+    const socket = dgram.createSocket(net.isIPv6(host) ? "udp6" : "udp4");
+    socket.unref();
+    socket.on("error", () => {});
+    return {
+      name: "syslog",
+      level,
+      log: (entry) =>
+        new Promise((resolve, reject) =>
+          socket.send(clip(formatSyslog(entry, options)), port, host, (err) =>
+            err ? reject(err) : resolve()
+          )
+        ),
+      flush: () => Promise.resolve(),
+      close: () => new Promise((resolve) => socket.close(resolve)),
+    };
+  }
+
+  const octetCounted = (text) => {
+    const message = clip(text);
+    return Buffer.concat([Buffer.from(`${message.length} `), message]);
+  };
+  // newline framing cannot carry line breaks inside a message
+  const newlineFramed = (text) =>
+    Buffer.concat([clip(text.replace(/\r?\n/g, "\\n")), Buffer.from("\n")]);
+
+  const stream = (connect, frame) => ({
+    ...createStream({
+      connect,
+      reconnectDelay,
+      maxReconnectDelay,
+      maxQueueSize,
+      onDrop: (messages, reason = "queue full") => onDrop(messages, reason),
+      // the socket changed kind; probe it again on the next entry
+      onFail: () => (target = null),
+    }),
+    frame,
+  });
+  const connectUnix = async () =>
+    (await probeUnix(path)) === "dgram"
+      ? { ...createDatagram(path, loadUnixDgram(path)), frame: clip }
+      : stream(() => net.connect({ path }), newlineFramed);
+  let target =
+    protocol === "tcp"
+      ? Promise.resolve(stream(() => net.connect({ host, port }), octetCounted))
+      : null;
+  const open = () => target || (target = connectUnix());
+  // A failed open (unix-dgram missing) rejects every log() but not these.
+  const each = (method) =>
+    target
+      ? target.then(
+          (t) => t[method](),
+          () => {}
+        )
+      : Promise.resolve();
+
+  return {
+    name: "syslog",
+    level,
+    log: async (entry) => {
+      const t = await open();
+      return t.send(t.frame(formatSyslog(entry, options)));
+    },
+    flush: () => each("flush"),
+    close: () => each("close"),
+  };
+}
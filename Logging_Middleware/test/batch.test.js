@@ -0,0 +1,127 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createBatchTransport } from "../src/batch.js";
+import { startCollector, waitFor } from "./collector.js";
+
+const batchTransport = (collector, options) =>
+  createBatchTransport({
+    endpoint: `${collector.url}/log`,
+    breaker: false,
+    flushInterval: 60000,
+    ...options,
+  });
+
+const sent = (collector) =>
+  collector.requests.map((r) => r.body.map((e) => e.n));
+
+test("a full batch is sent at once as one array", async (t) => {
+  const collector = await startCollector(t);
+  const transport = batchTransport(collector, { maxBatchSize: 3 });
+  [0, 1, 2].forEach((n) => transport.log({ n }));
+
+  await waitFor(() => collector.requests.length === 1);
+  assert.deepEqual(sent(collector), [[0, 1, 2]]);
+  transport.log({ n: 3 });
+  assert.equal(transport.size, 1);
+  await transport.close();
+  assert.deepEqual(sent(collector), [[0, 1, 2], [3]]);
+});
+
+test("queued entries are sent after flushInterval", async (t) => {
+  const collector = await startCollector(t);
+  const transport = batchTransport(collector, { flushInterval: 20 });
+  transport.log({ n: 0 });
+  transport.log({ n: 1 });
+
+  assert.equal(collector.requests.length, 0);
+  await waitFor(() => collector.requests.length === 1);
+  assert.deepEqual(sent(collector), [[0, 1]]);
+  await waitFor(() => transport.health().delivered === 2);
+});
+
+test("a full queue drops the oldest entry by default", async (t) => {
+  const collector = await startCollector(t);
+  const dropped = [];
+  const transport = batchTransport(collector, {
+    maxQueueSize: 2,
+    onDrop: (entries, reason) => dropped.push({ entries, reason }),
+  });
+  [0, 1, 2].forEach((n) => transport.log({ n }));
+  await transport.flush();
+
+  assert.deepEqual(dropped, [{ entries: [{ n: 0 }], reason: "queue full" }]);
+  assert.deepEqual(sent(collector), [[1, 2]]);
+  assert.equal(transport.health().dropped, 1);
+});
+
+test("dropPolicy newest rejects the incoming entry", async (t) => {
+  const collector = await startCollector(t);
+  const dropped = [];
+  const transport = batchTransport(collector, {
+    maxQueueSize: 2,
+    dropPolicy: "newest",
+    onDrop: (entries) => dropped.push(...entries),
+  });
+  assert.deepEqual(
+    [0, 1, 2].map((n) => transport.log({ n })),
+    [true, true, false]
+  );
+  await transport.flush();
+
+  assert.deepEqual(dropped, [{ n: 2 }]);
+  assert.deepEqual(sent(collector), [[0, 1]]);
+});
+
+test("failed batches are retried with exponential backoff", async (t) => {
+  const collector = await startCollector(t, () =>
+    collector.requests.length < 2 ? 503 : 200
+  );
+  const transport = batchTransport(collector, {
+    maxRetries: 5,
+    retryDelay: 20,
+  });
+  transport.log({ n: 0 });
+  const start = Date.now();
+  await transport.flush();
+
+  assert.deepEqual(
+    collector.requests.map((r) => r.status),
+    [503, 503, 200]
+  );
+  // 20ms before the first retry, 40ms before the second
+  assert.ok(Date.now() - start >= 60);
+  assert.equal(transport.health().delivered, 1);
+});
+
+test("retries stop on a status that is not worth retrying", async (t) => {
+  const collector = await startCollector(t, () => 400);
+  const dropped = [];
+  const transport = batchTransport(collector, {
+    maxRetries: 5,
+    retryDelay: 1,
+    onDrop: (entries, reason) => dropped.push({ entries, reason }),
+  });
+  transport.log({ n: 0 });
+  await transport.flush();
+
+  assert.equal(collector.requests.length, 1);
+  assert.deepEqual(dropped, [
+    { entries: [{ n: 0 }], reason: "Log post failed: 400" },
+  ]);
+});
+
+test("a batch is dropped once maxRetries is used up", async (t) => {
+  const collector = await startCollector(t, () => 503);
+  const dropped = [];
+  const transport = batchTransport(collector, {
+    maxRetries: 2,
+    retryDelay: 1,
+    onDrop: (entries) => dropped.push(...entries),
+  });
+  transport.log({ n: 0 });
+  await transport.flush();
+
+  assert.equal(collector.requests.length, 3);
+  assert.deepEqual(dropped, [{ n: 0 }]);
+  assert.equal(transport.health().failed, 3);
+});
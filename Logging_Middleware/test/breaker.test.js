@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createCircuitBreaker } from "../src/breaker.js";
+import { httpTransport } from "../src/transports/http.js";
+import { startCollector } from "./collector.js";
+
+test("the breaker opens, lets one probe through and closes on success", () => {
+  let time = 0;
+  const breaker = createCircuitBreaker({
+    failureThreshold: 2,
+    resetTimeout: 1000,
+    now: () => time,
+  });
+  breaker.failure();
+  assert.equal(breaker.state, "closed");
+  breaker.failure();
+  assert.equal(breaker.state, "open");
+  assert.equal(breaker.allow(), false);
+
+  time = 1000;
+  assert.equal(breaker.state, "half-open");
+  assert.equal(breaker.allow(), true);
+  assert.equal(breaker.allow(), false, "only one probe at a time");
+  breaker.success();
+  assert.deepEqual(breaker.snapshot(), { state: "closed", failures: 0 });
+  assert.equal(breaker.allow(), true);
+});
+
+test("a failed probe opens the breaker again", () => {
+  let time = 0;
+  const breaker = createCircuitBreaker({
+    failureThreshold: 1,
+    resetTimeout: 1000,
+    now: () => time,
+  });
+  breaker.failure();
+  time = 1500;
+  assert.equal(breaker.allow(), true);
+  breaker.failure();
+  assert.equal(breaker.state, "open");
+  assert.deepEqual(breaker.snapshot(), {
+    state: "open",
+    failures: 2,
+    retryAt: new Date(2500).toISOString(),
+  });
+});
+
+test("a timed-out request is aborted and counted in health()", async (t) => {
+  const collector = await startCollector(t, () => null);
+  const transport = httpTransport({
+    endpoint: `${collector.url}/log`,
+    timeout: 100,
+    breaker: { failureThreshold: 1 },
+  });
+
+  await assert.rejects(
+    transport.log({ message: "slow" }),
+    /timed out after 100ms/
+  );
+  await assert.rejects(transport.log({ message: "skipped" }), /circuit open/);
+
+  const health = transport.health();
+  // the second entry never reached the network
+  assert.equal(health.failed, 1);
+  assert.equal(health.dropped, 2);
+  assert.equal(health.breaker.state, "open");
+});
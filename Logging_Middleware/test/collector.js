@@ -0,0 +1,38 @@
+import http from "node:http";
+
+// A local collector for delivery tests. Every request is recorded with its
+// parsed JSON body; `respond(request)` picks the status (200 by default), or
+// returns null to leave the request hanging.
+export async function startCollector(t, respond = () => 200) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const request = {
+        url: req.url,
+        headers: req.headers,
+        body: body ? JSON.parse(body) : undefined,
+      };
+      request.status = respond(request);
+      requests.push(request);
+      if (request.status === null) return;
+      res.statusCode = request.status;
+      res.end("{}");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  return { requests, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+export async function waitFor(check, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error("timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { test } from "node:test";
+import { createLogger, getLogLevel, setLogLevel } from "../src/index.js";
+import { captureLogs } from "../src/testing.js";
+
+const levels = new URL("../src/levels.js", import.meta.url).href;
+
+// The environment is read once at import, so each case runs in a child.
+const withEnv = (env, expression) =>
+  JSON.parse(
+    execFileSync(
+      process.execPath,
+      [
+        "--input-type=module",
+        "-e",
+        `import * as levels from ${JSON.stringify(levels)};
+console.log(JSON.stringify(${expression}));`,
+      ],
+      { env: { ...process.env, ...env }, encoding: "utf8" }
+    )
+  );
+
+test("LOG_LEVELS wins over the logger's level, which wins over LOG_LEVEL", () => {
+  const resolved = withEnv(
+    { LOG_LEVEL: "warn", LOG_LEVELS: "db=debug, Cache=ERROR" },
+    `[
+      levels.resolveLevel("db", "error"),
+      levels.resolveLevel("cache", "info"),
+      levels.resolveLevel("service", "info"),
+      levels.resolveLevel("service"),
+    ]`
+  );
+  assert.deepEqual(resolved, ["debug", "error", "info", "warn"]);
+});
+
+test("without any level every level is enabled", () => {
+  const resolved = withEnv(
+    { LOG_LEVEL: "", LOG_LEVELS: "" },
+    `levels.resolveLevel("service")`
+  );
+  assert.equal(resolved, "debug");
+});
+
+test("an invalid LOG_LEVEL is ignored", () => {
+  const resolved = withEnv(
+    { LOG_LEVEL: "loud", LOG_LEVELS: "db=info" },
+    `[levels.getLogLevel(), levels.getLogLevel("db")]`
+  );
+  assert.deepEqual(resolved, [null, "info"]);
+});
+
+test("setLogLevel changes the global and per-package levels at runtime", async (t) => {
+  const logs = captureLogs();
+  t.after(() => {
+    logs.restore();
+    setLogLevel(undefined);
+    setLogLevel(undefined, "db");
+  });
+  const logger = createLogger({ stack: "backend", package: "db" });
+
+  setLogLevel("WARN");
+  assert.equal(getLogLevel(), "warn");
+  await logger.info("hidden");
+  assert.equal(logger.isLevelEnabled("info"), false);
+
+  setLogLevel("debug", "DB");
+  assert.equal(getLogLevel("db"), "debug");
+  await logger.debug("shown");
+  logger.setLevel("error");
+  await logger.info("package level still wins");
+
+  setLogLevel(undefined, "db");
+  assert.equal(logger.getLevel(), "error");
+  assert.throws(() => setLogLevel("loud"), /invalid level: loud/);
+
+  assert.deepEqual(
+    logs.entries.map((e) => e.message),
+    ["shown", "package level still wins"]
+  );
+});
@@ -0,0 +1,122 @@
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import net from "node:net";
+import { fileURLToPath } from "node:url";
+import { test } from "node:test";
+import { otlpTransport, toOtlpLogs } from "../src/transports/otlp.js";
+
+const entry = (fields) => ({
+  stack: "backend",
+  level: "info",
+  package: "db",
+  message: "query",
+  timestamp: "2025-01-01T00:00:00.000Z",
+  hostname: "web-1",
+  pid: 42,
+  ...fields,
+});
+
+const attributes = (list) =>
+  Object.fromEntries(list.map(({ key, value }) => [key, value]));
+
+test("toOtlpLogs groups records by resource and maps the fields", () => {
+  const { resourceLogs } = toOtlpLogs([
+    entry({
+      level: "warn",
+      requestId: "r1",
+      traceId: "4bf92f3577b34da6a3ce929d0e0e4736",
+      spanId: "00f067aa0ba902b7",
+      meta: { rows: 3, ratio: 0.5, user: { id: "u1" }, tags: ["a"] },
+    }),
+    entry({ message: "second" }),
+    entry({ stack: "frontend", package: "api", message: "other" }),
+  ]);
+
+  assert.equal(resourceLogs.length, 2);
+  const [backend, frontend] = resourceLogs;
+  assert.deepEqual(attributes(backend.resource.attributes), {
+    "service.name": { stringValue: "backend" },
+    stack: { stringValue: "backend" },
+    "host.name": { stringValue: "web-1" },
+    "process.pid": { intValue: "42" },
+  });
+  assert.equal(frontend.scopeLogs[0].logRecords[0].body.stringValue, "other");
+
+  const [record, second] = backend.scopeLogs[0].logRecords;
+  assert.equal(second.body.stringValue, "second");
+  assert.equal(record.timeUnixNano, "1735689600000000000");
+  assert.equal(record.severityNumber, 13);
+  assert.equal(record.severityText, "WARN");
+  assert.equal(record.traceId, "4bf92f3577b34da6a3ce929d0e0e4736");
+  assert.equal(record.spanId, "00f067aa0ba902b7");
+  assert.deepEqual(attributes(record.attributes), {
+    package: { stringValue: "db" },
+    "request.id": { stringValue: "r1" },
+    rows: { intValue: "3" },
+    ratio: { doubleValue: 0.5 },
+    user: {
+      kvlistValue: { values: [{ key: "id", value: { stringValue: "u1" } }] },
+    },
+    tags: { arrayValue: { values: [{ stringValue: "a" }] } },
+  });
+});
+
+test("serviceName and resource override the resource attributes", () => {
+  const { resourceLogs } = toOtlpLogs([entry()], {
+    serviceName: "url-shortener",
+    resource: { "deployment.environment": "test" },
+  });
+  const resource = attributes(resourceLogs[0].resource.attributes);
+  assert.deepEqual(resource["service.name"], { stringValue: "url-shortener" });
+  assert.deepEqual(resource["deployment.environment"], {
+    stringValue: "test",
+  });
+});
+
+const freePort = async () => {
+  const server = net.createServer().listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const { port } = server.address();
+  server.close();
+  return port;
+};
+
+test("otlpTransport exports to the example receiver", async (t) => {
+  const port = await freePort();
+  const receiver = spawn(
+    process.execPath,
+    [fileURLToPath(new URL("../examples/otlpReceiver.js", import.meta.url))],
+    { env: { ...process.env, OTLP_PORT: String(port) } }
+  );
+  t.after(() => receiver.kill());
+  let output = "";
+  receiver.stdout.on("data", (chunk) => (output += chunk));
+  while (!output.includes("listening")) await once(receiver.stdout, "data");
+
+  const endpoint = `http://127.0.0.1:${port}/v1/logs`;
+  const transport = otlpTransport({
+    endpoint,
+    serviceName: "url-shortener",
+    batch: { flushInterval: 60000 },
+  });
+  transport.log(entry({ level: "error", meta: { code: "E1" } }));
+  transport.log(entry({ message: "second" }));
+  await transport.close();
+
+  assert.equal(transport.health().delivered, 2);
+  const [request] = await (await fetch(endpoint)).json();
+  const records = request.resourceLogs[0].scopeLogs[0].logRecords;
+  assert.deepEqual(
+    records.map((r) => [r.severityText, r.body.stringValue]),
+    [
+      ["ERROR", "query"],
+      ["INFO", "second"],
+    ]
+  );
+  while (!output.includes('"second"')) await once(receiver.stdout, "data");
+  assert.match(
+    output,
+    /\[OTLP LOG\] url-shortener ERROR "query" .*"code":"E1"/
+  );
+});
@@ -0,0 +1,26 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createLogger } from "../src/index.js";
+import { captureLogs } from "../src/testing.js";
+
+test("oversized meta is redacted before it is truncated", async () => {
+  const logs = captureLogs();
+  try {
+    const logger = createLogger({
+      stack: "backend",
+      package: "auth",
+      redact: true,
+    });
+    const padding = Object.fromEntries(
+      Array.from({ length: 20 }, (_, i) => [`field${i}`, "x".repeat(1024)])
+    );
+    await logger.info("login", { password: "hunter2", ...padding });
+
+    const { meta } = logs.assertLogged({ message: "login" });
+    assert.equal(meta.truncated, true);
+    assert.ok(!meta.preview.includes("hunter2"));
+    assert.ok(meta.preview.startsWith('{"password":"[REDACTED]"'));
+  } finally {
+    logs.restore();
+  }
+});
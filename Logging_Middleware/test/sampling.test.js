@@ -0,0 +1,92 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createLogger } from "../src/index.js";
+import { createSampler } from "../src/sampling.js";
+import { captureLogs } from "../src/testing.js";
+
+const info = (level, pkg = "db", message = "query") => ({
+  stack: "backend",
+  level,
+  package: pkg,
+  message,
+});
+
+test("levels in keepLevels are never sampled", () => {
+  const sampler = createSampler({
+    rate: 0,
+    rules: [{ level: "error", rate: 0 }],
+    random: () => 0,
+  });
+  assert.equal(sampler.check(info("info")), false);
+  assert.equal(sampler.check(info("error")), true);
+  assert.equal(sampler.check(info("fatal")), true);
+
+  const custom = createSampler({ rate: 0, keepLevels: ["warn"] });
+  assert.equal(custom.check(info("warn")), true);
+  assert.equal(custom.check(info("error")), false);
+});
+
+test("the first matching rule sets the rate", () => {
+  let roll = 0.4;
+  const sampler = createSampler({
+    rate: 0,
+    rules: [
+      { package: "db", message: /^slow/, rate: 0.5 },
+      { package: "db", rate: 1 },
+    ],
+    random: () => roll,
+  });
+  assert.equal(sampler.check(info("info", "db", "slow query")), true);
+  roll = 0.6;
+  assert.equal(sampler.check(info("info", "db", "slow query")), false);
+  assert.equal(sampler.check(info("info", "db", "fast query")), true);
+  assert.equal(sampler.check(info("info", "cache", "slow query")), false);
+});
+
+test("repeated entries are collapsed into a summary", async () => {
+  const logs = captureLogs();
+  try {
+    const logger = createLogger({
+      stack: "backend",
+      package: "db",
+      sample: { dedupe: { window: 60000 } },
+    });
+    for (let i = 0; i < 3; i++) await logger.warn("connection refused");
+    await logger.info("other");
+    await logger.flush();
+
+    assert.deepEqual(
+      logs.entries.map((e) => e.message),
+      ["connection refused", "other", "connection refused (repeated 2 times)"]
+    );
+    const summary = logs.assertLogged({ message: /repeated/ });
+    assert.equal(summary.level, "warn");
+    assert.equal(summary.meta.repeated, 2);
+  } finally {
+    logs.restore();
+  }
+});
+
+test("the token bucket limits each level and package", async () => {
+  const emitted = [];
+  const sampler = createSampler({
+    rateLimit: { limit: 1, interval: 50, burst: 2 },
+    emit: (entry, message, meta) => emitted.push({ message, meta }),
+  });
+  assert.deepEqual(
+    [0, 1, 2].map(() => sampler.check(info("info", "db"))),
+    [true, true, false]
+  );
+  assert.equal(sampler.check(info("info", "cache")), true);
+  assert.equal(sampler.check(info("warn", "db")), true);
+
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  assert.equal(sampler.check(info("info", "db")), true, "refilled");
+  sampler.close();
+  assert.deepEqual(emitted, [
+    {
+      message: "rate limit exceeded: 1 entries suppressed",
+      meta: { suppressed: 1 },
+    },
+  ]);
+});
@@ -0,0 +1,117 @@
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { test } from "node:test";
+import { createBatchTransport } from "../src/batch.js";
+import { createSpool } from "../src/spool.js";
+import { startCollector } from "./collector.js";
+
+const spoolDir = (t) => {
+  const dir = mkdtempSync(join(tmpdir(), "spool-test-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+const entries = (from, to) =>
+  Array.from({ length: to - from }, (_, i) => ({ n: from + i }));
+
+test("a crash mid-replay resends only the batch in flight, with its key", async (t) => {
+  const dir = spoolDir(t);
+  const before = [];
+  const crashed = createSpool({
+    dir,
+    batchSize: 2,
+    replayInterval: 60000,
+    // the second batch reaches the collector but the process dies before
+    // the reply
+    send: (batch, { key }) => {
+      before.push({ batch, key });
+      return before.length === 1
+        ? Promise.resolve(true)
+        : new Promise(() => {});
+    },
+  });
+  crashed.append(entries(0, 5));
+  crashed.replay();
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(before.length, 2);
+
+  const after = [];
+  const restarted = createSpool({
+    dir,
+    batchSize: 2,
+    replayInterval: 60000,
+    send: async (batch, { key }) => {
+      after.push({ batch, key });
+      return true;
+    },
+  });
+  assert.equal(await restarted.replay(), true);
+  assert.equal(after[0].key, before[1].key);
+  assert.deepEqual(
+    after.flatMap(({ batch }) => batch.map((e) => e.n)),
+    [2, 3, 4]
+  );
+  assert.equal(restarted.pending, false);
+  assert.equal(restarted.bytes, 0);
+});
+
+test("maxBytes evicts the oldest segments through onDrop", async (t) => {
+  const dir = spoolDir(t);
+  const dropped = [];
+  const sent = [];
+  const size = Buffer.byteLength(`${JSON.stringify({ n: 0 })}\n`) * 2;
+  const spool = createSpool({
+    dir,
+    maxBytes: size * 2,
+    segmentBytes: size,
+    replayInterval: 60000,
+    onDrop: (lost, reason) => dropped.push({ lost, reason }),
+    send: async (batch) => {
+      sent.push(...batch.map((e) => e.n));
+      return true;
+    },
+  });
+  spool.append(entries(0, 2));
+  spool.append(entries(2, 4));
+  spool.append(entries(4, 6));
+
+  assert.deepEqual(dropped, [{ lost: entries(0, 2), reason: "spool full" }]);
+  assert.equal(spool.bytes, size * 2);
+  await spool.replay();
+  assert.deepEqual(sent, [2, 3, 4, 5]);
+});
+
+test("entries keep their order across a failed and a successful replay", async (t) => {
+  const dir = spoolDir(t);
+  let status = 503;
+  const collector = await startCollector(t, () => status);
+
+  const transport = createBatchTransport({
+    endpoint: `${collector.url}/log`,
+    maxBatchSize: 2,
+    flushInterval: 60000,
+    maxRetries: 0,
+    breaker: false,
+    spool: { dir, replayInterval: 60000 },
+  });
+  entries(0, 3).forEach((entry) => transport.log(entry));
+  await transport.flush();
+  assert.ok(transport.health().spoolBytes > 0);
+
+  status = 200;
+  transport.log({ n: 3 });
+  await transport.flush();
+  await transport.close();
+
+  const key = (request) => request.headers["idempotency-key"];
+  const delivered = collector.requests.filter((r) => r.status === 200);
+  assert.deepEqual(
+    delivered.flatMap((r) => r.body.map((e) => e.n)),
+    [0, 1, 2, 3]
+  );
+  const failed = collector.requests.find((r) => r.status === 503 && key(r));
+  assert.equal(key(delivered[0]), key(failed));
+  assert.equal(transport.health().spoolBytes, 0);
+});
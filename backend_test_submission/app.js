@@ -14,6 +14,10 @@ const urlRoutes = require("./src/routes/urlRoutes");
 
 const app = express();
 const PORT = process.env.PORT || 4000;
+const logDelivery = {};
+// The default redaction patterns minus ipv4/ipv6, which would also mask the
+// client address in meta.ip and meta.request.ip.
+const redact = { patterns: ["bearer", "queryToken", "email", "card"] };
 
 const initializeApp = async () => {
   app.use(securityHeaders);
@@ -23,13 +27,19 @@ const initializeApp = async () => {
     app.use(requestLogger);
     try {
       const loggingMiddleware = await import("logging-middleware");
-      app.use(
-        loggingMiddleware.requestLogger({
-          stack: "url-shortener-backend",
-          package: "express-server",
-          level: "info",
-        })
-      );
+      logDelivery.requestLogger = loggingMiddleware.requestLogger({
+        stack: "backend",
+        package: "middleware",
+        level: "info",
+        ignore: ["/health", "/metrics"],
+        redact,
+        batch: true,
+      });
+      app.use(logDelivery.requestLogger);
+      loggingMiddleware.configureTracing({
+        stack: "backend",
+        package: "service",
+      });
       console.log("✅ Logging middleware loaded successfully");
     } catch (loggingError) {
       console.warn(
@@ -39,6 +49,23 @@ const initializeApp = async () => {
     }
   }
 
+  try {
+    const loggingMiddleware = await import("logging-middleware");
+    app.use(loggingMiddleware.metricsMiddleware({ path: "/metrics" }));
+  } catch (loggingError) {
+    console.warn("⚠️  Metrics not available:", loggingError.message);
+  }
+
+  app.get("/health", (req, res) => {
+    const logging = Object.fromEntries(
+      Object.entries(logDelivery).map(([name, logger]) => [
+        name,
+        logger.health(),
+      ])
+    );
+    res.json({ status: "ok", uptime: process.uptime(), logging });
+  });
+
   app.use(express.json({ limit: "1mb" }));
   app.use(express.urlencoded({ extended: true, limit: "1mb" }));
   app.use(validateRequest.json);
@@ -47,14 +74,17 @@ const initializeApp = async () => {
 
   try {
     const loggingMiddleware = await import("logging-middleware");
-    app.use(
-      loggingMiddleware.errorLogger({
-        stack: "url-shortener-backend",
-        package: "express-server",
-        level: "error",
-      })
-    );
-  } catch (loggingError) {}
+    logDelivery.errorLogger = loggingMiddleware.errorLogger({
+      stack: "backend",
+      package: "handler",
+      level: "error",
+      redact,
+      batch: true,
+    });
+    app.use(logDelivery.errorLogger);
+  } catch (loggingError) {
+    console.warn("⚠️  Error logging not available:", loggingError.message);
+  }
 
   app.use(errorHandler);
 };
@@ -62,6 +92,8 @@ const initializeApp = async () => {
 const startServer = async () => {
   try {
     await initializeApp();
+    // after initializeApp, so the middleware loggers exist to be flushed
+    await installCrashLogging();
     await connectDatabase();
 
     app.listen(PORT, () => {
@@ -74,6 +106,8 @@ const startServer = async () => {
       console.log(`   GET  /:shortCode                 - Redirect to URL`);
       console.log(`   GET  /api/stats/:shortCode       - URL Statistics`);
       console.log(`   GET  /api/urls                   - List All URLs`);
+      console.log(`   GET  /metrics                    - Prometheus Metrics`);
+      console.log(`   GET  /health                     - Service Health`);
       console.log(`   DELETE /api/urls/:shortCode      - Delete URL`);
       console.log(`   PATCH /api/urls/:shortCode/status - Update URL Status`);
       console.log("\n URL Shortener is ready to use!");
@@ -84,15 +118,33 @@ const startServer = async () => {
   }
 };
 
-process.on("uncaughtException", (err) => {
+const onUncaughtException = (err) => {
   console.error("Uncaught Exception:", err);
   process.exit(1);
-});
+};
 
-process.on("unhandledRejection", (err) => {
+const onUnhandledRejection = (err) => {
   console.error("Unhandled Rejection:", err);
   process.exit(1);
-});
+};
+
+process.on("uncaughtException", onUncaughtException);
+process.on("unhandledRejection", onUnhandledRejection);
+
+const installCrashLogging = async () => {
+  try {
+    const loggingMiddleware = await import("logging-middleware");
+    process.off("uncaughtException", onUncaughtException);
+    process.off("unhandledRejection", onUnhandledRejection);
+    loggingMiddleware.installProcessHandlers({
+      stack: "backend",
+      package: "service",
+      flush: Object.values(logDelivery),
+    });
+  } catch (loggingError) {
+    console.warn("⚠️  Crash logging not available:", loggingError.message);
+  }
+};
 
 startServer();
 module.exports = app;
@@ -7,6 +7,7 @@ const {
   generateShortUrl,
   logUrlAccess,
 } = require("../utils/helpers");
+const { withSpan } = require("../utils/tracing");
 
 /**
  * Create a shortened URL
@@ -123,7 +124,11 @@ const redirectToUrl = async (req, res) => {
     const { shortCode } = req.params;
 
     // Find URL by short code
-    const url = await Url.findByShortCode(shortCode);
+    const url = await withSpan(
+      "Url.findByShortCode",
+      () => Url.findByShortCode(shortCode),
+      { package: "db", attributes: { shortCode } }
+    );
 
     if (!url) {
       return res.status(404).json({
@@ -150,7 +155,10 @@ const redirectToUrl = async (req, res) => {
     }
 
     // Increment click count and update last accessed
-    await url.incrementClicks();
+    await withSpan("url.incrementClicks", () => url.incrementClicks(), {
+      package: "db",
+      attributes: { shortCode },
+    });
 
     // Log access for analytics
     logUrlAccess(url, req);
@@ -0,0 +1,27 @@
+/**
+ * Span helpers backed by logging-middleware when it is available
+ */
+
+let tracing = null;
+
+import("logging-middleware")
+  .then((loggingMiddleware) => {
+    tracing = loggingMiddleware;
+  })
+  .catch(() => {});
+
+/**
+ * Run a function inside a child span of the current request's trace
+ * @param {string} name - The span name
+ * @param {Function} fn - The function to time
+ * @param {Object} options - Span options such as package and attributes
+ * @returns {Promise<*>} - The function's result
+ */
+const withSpan = (name, fn, options) => {
+  if (!tracing) return Promise.resolve().then(fn);
+  return tracing.withSpan(name, fn, options);
+};
+
+module.exports = {
+  withSpan,
+};
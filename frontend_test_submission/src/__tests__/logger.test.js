@@ -0,0 +1,54 @@
+import { captureLogs } from 'logging-middleware/testing';
+import logger from '../utils/logger';
+
+describe('logger remote forwarding', () => {
+  let logs;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await logger.connectRemote('http://collector.test/logs');
+  });
+
+  beforeEach(() => {
+    logs = captureLogs();
+  });
+
+  afterEach(() => {
+    logs.restore();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('forwards failed API responses as errors', () => {
+    logger.logApiResponse('POST', '/shorturls', 500, { error: 'boom' });
+
+    logs.assertLogged({
+      stack: 'frontend',
+      level: 'error',
+      package: 'api',
+      message: 'API Response received',
+      meta: { method: 'POST', url: '/shorturls', status: 500 }
+    });
+  });
+
+  test('logs user actions under the component package', () => {
+    logger.logUserAction('copy_link', { shortcode: 'abc123' });
+
+    logs.assertLogged({
+      level: 'info',
+      package: 'component',
+      meta: { action: 'copy_link', details: { shortcode: 'abc123' } }
+    });
+    logs.assertNotLogged({ level: 'error' });
+  });
+
+  test('redacts secrets before they leave the browser', () => {
+    logger.info('Session refreshed', { token: 'abc.def.ghi' });
+
+    const entry = logs.assertLogged({ message: 'Session refreshed' });
+    expect(entry.meta.token).toBe('[REDACTED]');
+  });
+});
@@ -3,6 +3,38 @@ class Logger {
   constructor() {
     this.logs = [];
     this.maxLogs = 1000; // Keep last 1000 logs in memory
+    this.remote = null;
+
+    // Ship logs to the shared collector when an endpoint is configured
+    if (process.env.REACT_APP_LOG_ENDPOINT) {
+      this.connectRemote(process.env.REACT_APP_LOG_ENDPOINT);
+    }
+  }
+
+  // Load the browser build of the logging package and forward entries to it
+  async connectRemote(endpoint) {
+    try {
+      const { Log, beaconTransport, createRedactor } = await import('logging-middleware');
+      const transports = [beaconTransport({ endpoint })];
+      // Compile the redaction rules once rather than for every entry
+      const redact = createRedactor();
+      this.remote = (level, pkg, message, context) =>
+        Log('frontend', level, pkg, message, {
+          transports,
+          meta: context,
+          redact,
+          suppressErrors: true
+        });
+    } catch (e) {
+      console.warn('Remote logging not available:', e.message);
+    }
+  }
+
+  // Forward a log entry to the collector, if connected
+  sendRemote(level, pkg, message, context) {
+    if (this.remote) {
+      this.remote(level, pkg, message, context);
+    }
   }
 
   // Format log entry with timestamp and context
@@ -29,31 +61,35 @@ class Logger {
   }
 
   // Log info level messages
-  info(message, context = {}) {
+  info(message, context = {}, pkg = 'api') {
     const logEntry = this.formatLogEntry('info', message, context);
     console.info(`[${logEntry.timestamp}] INFO:`, message, context);
     this.addToMemoryLog(logEntry);
+    this.sendRemote('info', pkg, message, context);
   }
 
   // Log warning level messages
-  warn(message, context = {}) {
+  warn(message, context = {}, pkg = 'api') {
     const logEntry = this.formatLogEntry('warn', message, context);
     console.warn(`[${logEntry.timestamp}] WARN:`, message, context);
     this.addToMemoryLog(logEntry);
+    this.sendRemote('warn', pkg, message, context);
   }
 
   // Log error level messages
-  error(message, context = {}) {
+  error(message, context = {}, pkg = 'api') {
     const logEntry = this.formatLogEntry('error', message, context);
     console.error(`[${logEntry.timestamp}] ERROR:`, message, context);
     this.addToMemoryLog(logEntry);
+    this.sendRemote('error', pkg, message, context);
   }
 
   // Log debug level messages
-  debug(message, context = {}) {
+  debug(message, context = {}, pkg = 'api') {
     const logEntry = this.formatLogEntry('debug', message, context);
     console.debug(`[${logEntry.timestamp}] DEBUG:`, message, context);
     this.addToMemoryLog(logEntry);
+    this.sendRemote('debug', pkg, message, context);
   }
 
   // Log API requests
@@ -84,7 +120,7 @@ class Logger {
       action,
       details,
       timestamp: Date.now()
-    });
+    }, 'component');
   }
 
   // Log application state changes
@@ -93,7 +129,7 @@ class Logger {
       component,
       previousState,
       newState
-    });
+    }, 'state');
   }
 
   // Add log to memory storage